@@ -1,5 +1,7 @@
 #!/bin/bash
 # install-native.bash - Install native messaging host for i18n Editor Extension
+# Usage: ./build/install-native.bash [locale root ...]
+#   Locale roots are added to the host's allowlist of directories it may read and write
 
 set -e
 
@@ -94,6 +96,30 @@ EOF
 
 echo -e "${GREEN}✅ Created native host config:${NC} $CONFIG_FILE"
 
+# Allowlist of project roots, next to the manifest (kept if it already exists)
+ALLOWLIST_FILE="$DEST_DIR/com.i18ntexteditor.host.allowlist.json"
+if [ -f "$ALLOWLIST_FILE" ] && [ $# -eq 0 ]; then
+    echo -e "${GREEN}✅ Kept allowed roots:${NC} $ALLOWLIST_FILE"
+else
+    ROOTS=""
+    for ROOT in "$@"; do
+        if [ ! -d "$ROOT" ]; then
+            echo -e "${YELLOW}⚠️  Not a directory (added anyway):${NC} $ROOT"
+            ABS_ROOT="$ROOT"
+        else
+            ABS_ROOT="$(cd "$ROOT" && pwd)"
+        fi
+        ESCAPED=$(printf '%s' "$ABS_ROOT" | sed 's/\\/\\\\/g; s/"/\\"/g')
+        ROOTS="$ROOTS${ROOTS:+,}"$'\n'"    \"$ESCAPED\""
+    done
+    printf '{\n  "allowedRoots": [%s%s]\n}\n' "$ROOTS" "${ROOTS:+$'\n  '}" > "$ALLOWLIST_FILE"
+    chmod 644 "$ALLOWLIST_FILE"
+    echo -e "${GREEN}✅ Created allowed roots:${NC} $ALLOWLIST_FILE"
+    if [ $# -eq 0 ]; then
+        echo -e "${YELLOW}⚠️  No locale roots given - the host refuses every request until you add them${NC}"
+    fi
+fi
+
 # Set proper permissions
 chmod 644 "$CONFIG_FILE"
 echo -e "${GREEN}✅ Set proper permissions${NC}"
@@ -121,13 +147,16 @@ echo "   - After loading, Chrome will assign an extension ID"
 echo "   - Replace 'YOUR_EXTENSION_ID' in: $CONFIG_FILE"
 echo "   - With your actual extension ID from chrome://extensions"
 echo ""
-echo "3. Configure the extension:"
+echo "3. Allow your locale directories (if not passed to this script):"
+echo "   - Add them to \"allowedRoots\" in: $ALLOWLIST_FILE"
+echo ""
+echo "4. Configure the extension:"
 echo "   - Click the extension icon"
 echo "   - Set your resource bundle root directory"
 echo "   - Set your default language"
 echo "   - Click 'Save Settings'"
 echo ""
-echo "4. Enable the editor:"
+echo "5. Enable the editor:"
 echo "   - Click 'Enable Editor' in the popup"
 echo "   - Or run 'starti18ndebug()' in the browser console"
 echo ""
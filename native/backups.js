@@ -0,0 +1,172 @@
+// backups.js - Timestamped backups of locale files: creation, retention, listing and restore
+// Backups are named {file}.backup-{timestamp}{ext} (the locale file's own extension, so
+// they are read with the same format adapter) and live next to the locale file,
+// or under a separate backup directory that mirrors the locale tree.
+
+const fs = require('fs');
+const path = require('path');
+const { readLocaleFile, lookupValue, flattenLocale, flatten } = require('./formats');
+const { checkPath } = require('./confinement');
+
+const BACKUP_MARKER = '.backup-';
+
+/**
+ * Directory and name prefix of a locale file's backups
+ * @param {string} filePath - Locale file
+ * @param {string} root - Root directory for locales
+ * @param {Object} [policy] - Backup policy ({ dir } relative to root or absolute)
+ * @returns {Object} { dir, prefix, ext }
+ */
+function backupLocation(filePath, root, policy) {
+    const prefix = `${path.basename(filePath)}${BACKUP_MARKER}`;
+    const ext = path.extname(filePath);
+    if (!policy || !policy.dir) {
+        return { dir: path.dirname(filePath), prefix, ext };
+    }
+    const baseDir = path.resolve(root, policy.dir);
+    const relativeDir = path.relative(path.resolve(root), path.dirname(path.resolve(filePath)));
+    return { dir: path.join(baseDir, relativeDir), prefix, ext };
+}
+
+/**
+ * Copy a locale file to a timestamped backup, then apply the retention policy
+ * @param {string} filePath - Locale file to back up
+ * @param {string} root - Root directory for locales
+ * @param {Object} [policy] - { dir, maxCount, maxAgeDays }
+ * @returns {string} Path of the backup file
+ */
+function createBackup(filePath, root, policy) {
+    const { dir, prefix, ext } = backupLocation(filePath, root, policy);
+    checkPath(dir);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(dir, `${prefix}${timestamp}${ext}`);
+    fs.copyFileSync(filePath, backupPath);
+    console.error(`[DEBUG] Backup created: ${backupPath}`);
+
+    pruneBackups(filePath, root, policy);
+    return backupPath;
+}
+
+/**
+ * List the backups of a locale file, newest first
+ * @param {string} filePath - Locale file
+ * @param {string} root - Root directory for locales
+ * @param {Object} [policy] - Backup policy
+ * @returns {Array<Object>} [{ name, path, timestamp, size }]
+ */
+function listBackups(filePath, root, policy) {
+    const { dir, prefix, ext } = backupLocation(filePath, root, policy);
+    checkPath(dir);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith(ext))
+        .map((name) => {
+            const fullPath = path.join(dir, name);
+            const stat = fs.statSync(fullPath);
+            return {
+                name,
+                path: fullPath,
+                timestamp: parseTimestamp(name.slice(prefix.length, name.length - ext.length)) || stat.mtime.toISOString(),
+                size: stat.size,
+            };
+        })
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Delete backups beyond the retention policy (maxCount newest kept, none older than maxAgeDays)
+ * @param {string} filePath - Locale file
+ * @param {string} root - Root directory for locales
+ * @param {Object} [policy] - { maxCount, maxAgeDays }
+ * @returns {Array<string>} Paths of deleted backups
+ */
+function pruneBackups(filePath, root, policy) {
+    if (!policy || (!policy.maxCount && !policy.maxAgeDays)) {
+        return [];
+    }
+
+    const cutoff = policy.maxAgeDays ? Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const deleted = [];
+
+    listBackups(filePath, root, policy).forEach((backup, idx) => {
+        const tooMany = policy.maxCount && idx >= policy.maxCount;
+        const tooOld = cutoff !== null && Date.parse(backup.timestamp) < cutoff;
+        if (tooMany || tooOld) {
+            fs.unlinkSync(backup.path);
+            deleted.push(backup.path);
+            console.error(`[DEBUG] Backup pruned: ${backup.path}`);
+        }
+    });
+    return deleted;
+}
+
+/**
+ * Resolve a backup by name, refusing anything that is not a backup of the given file
+ * @param {string} filePath - Locale file
+ * @param {string} root - Root directory for locales
+ * @param {Object} [policy] - Backup policy
+ * @param {string} backupName - File name as returned by listBackups
+ * @returns {Object} Backup entry from listBackups
+ */
+function findBackup(filePath, root, policy, backupName) {
+    const backup = listBackups(filePath, root, policy).find(entry => entry.name === backupName);
+    if (!backup) {
+        throw new Error(`Backup not found for ${path.basename(filePath)}: ${backupName}`);
+    }
+    return backup;
+}
+
+/**
+ * Key-level diff between the current file and a backup (what a restore would change)
+ * @param {string} filePath - Locale file
+ * @param {string} backupPath - Backup file
+ * @param {string} [key] - Limit the diff to one dot-separated key
+ * @param {Object} [context] - { lang, fileFormat } for the format adapter
+ * @returns {Array<Object>} [{ key, current, backup }] where a missing side is null
+ */
+function diffBackup(filePath, backupPath, key, context = {}) {
+    const current = flattenLocale(readLocaleFile(filePath, context));
+    const backup = flattenLocale(readLocaleFile(backupPath, context));
+    const keys = key ? [key] : [...new Set([...Object.keys(current), ...Object.keys(backup)])].sort();
+
+    return keys
+        .map(k => ({ key: k, current: k in current ? current[k] : null, backup: k in backup ? backup[k] : null }))
+        .filter(change => change.current !== change.backup);
+}
+
+/**
+ * Value of a key in a backup file
+ * @param {string} backupPath - Backup file
+ * @param {string} key - Dot-separated key
+ * @param {Object} [context] - { lang, fileFormat } for the format adapter
+ * @returns {*} The value, or null if the key did not exist in the backup
+ */
+function backupValue(backupPath, key, context = {}) {
+    try {
+        return lookupValue(readLocaleFile(backupPath, context), key);
+    } catch (error) {
+        console.error(`[DEBUG] Error reading ${backupPath}: ${error.message}`);
+        return null;
+    }
+}
+
+// 2025-01-15T10-30-45-123Z -> 2025-01-15T10:30:45.123Z
+function parseTimestamp(raw) {
+    const m = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(raw);
+    return m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z` : null;
+}
+
+module.exports = {
+    createBackup,
+    listBackups,
+    pruneBackups,
+    findBackup,
+    diffBackup,
+    backupValue,
+    flatten,
+};
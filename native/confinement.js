@@ -0,0 +1,208 @@
+// confinement.js - Keeps the native host inside the project roots it is allowed to touch
+// The extension decides which root, language and namespace a request is about, so a
+// broken or hostile config could otherwise point the host anywhere on disk. The host loads
+// an allowlist of project roots from a local file next to its manifest (see hostConfigPath)
+// and every locale file, backup and listed directory must resolve - symlinks included -
+// inside one of them. Language codes and namespaces are restricted to safe path segments.
+// Until the host sets an allowlist nothing is confined, so the modules stay usable on their own.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Written by build/install-native.bash next to com.i18ntexteditor.host.json
+const HOST_CONFIG_NAME = 'com.i18ntexteditor.host.allowlist.json';
+
+// Overrides the location of the allowlist (tests, custom installs)
+const HOST_CONFIG_ENV = 'I18N_EDITOR_HOST_CONFIG';
+
+// Where the installer puts the host manifest, per platform
+const MANIFEST_DIRS = {
+    darwin: ['Library/Application Support/Google/Chrome/NativeMessagingHosts'],
+    linux: ['.config/google-chrome/NativeMessagingHosts'],
+    win32: ['AppData/Local/Google/Chrome/User Data/NativeMessagingHosts'],
+};
+
+// One directory name: no separators, not "." or ".."
+const SAFE_SEGMENT = /^(?!\.\.?$)[\w@.-]+$/;
+
+// null: not confined; otherwise { roots: real paths, source: allowlist file }
+let allowlist = null;
+
+/**
+ * Location of the allowlist file: $I18N_EDITOR_HOST_CONFIG, else next to the host manifest
+ * @returns {string} Path (the first candidate when none exists yet)
+ */
+function hostConfigPath() {
+    if (process.env[HOST_CONFIG_ENV]) {
+        return path.resolve(process.env[HOST_CONFIG_ENV]);
+    }
+    const candidates = (MANIFEST_DIRS[process.platform] || MANIFEST_DIRS.linux)
+        .map(dir => path.join(os.homedir(), dir, HOST_CONFIG_NAME));
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+}
+
+/**
+ * Read the allowlist file and confine the host to its roots
+ * A missing or unreadable file confines the host to nothing, so every request is refused
+ * with a message naming the file to edit.
+ * @param {string} [configPath] - Allowlist file (default: hostConfigPath())
+ * @returns {Object} { roots, source, error }
+ */
+function loadHostConfig(configPath = hostConfigPath()) {
+    let roots = [];
+    let error = null;
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        if (!Array.isArray(config.allowedRoots)) {
+            throw new Error('"allowedRoots" must be a list of directories');
+        }
+        // Relative entries are relative to the file, "~/" to the home directory
+        roots = config.allowedRoots
+            .filter(root => typeof root === 'string' && root.trim())
+            .map(root => root.trim().replace(/^~(?=$|[\\/])/, os.homedir()))
+            .map(root => path.resolve(path.dirname(configPath), root));
+    } catch (err) {
+        error = err.code === 'ENOENT' ? 'not found' : err.message;
+        console.error(`[DEBUG] Host allowlist ${configPath}: ${error}`);
+    }
+    setAllowedRoots(roots, configPath);
+    return { roots: allowlist.roots, source: configPath, error };
+}
+
+/**
+ * Confine file access to directories (null lifts the confinement)
+ * @param {Array<string>|null} roots - Allowed directories
+ * @param {string} [source] - Where they came from, for error messages
+ */
+function setAllowedRoots(roots, source) {
+    allowlist = roots ? { roots: roots.map(realPath), source: source || null } : null;
+}
+
+/**
+ * Allowed directories, or null when not confined
+ * @returns {Array<string>|null} Real paths
+ */
+function allowedRoots() {
+    return allowlist ? [...allowlist.roots] : null;
+}
+
+/**
+ * Absolute path with symlinks resolved, also for paths that do not exist yet
+ * (the nearest existing ancestor is resolved and the rest appended)
+ * @param {string} filePath - Any path
+ * @returns {string} Real path
+ */
+function realPath(filePath) {
+    let existing = path.resolve(filePath);
+    const rest = [];
+    while (true) {
+        try {
+            return path.join(fs.realpathSync(existing), ...rest);
+        } catch {
+            const parent = path.dirname(existing);
+            if (parent === existing) return path.resolve(filePath);
+            rest.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}
+
+function isInside(dir, filePath) {
+    const relative = path.relative(dir, filePath);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Whether a path resolves inside an allowed root (always true when not confined)
+ * @param {string} filePath - File or directory
+ * @returns {boolean} True if the host may read or write it
+ */
+function isAllowed(filePath) {
+    if (!allowlist) return true;
+    const resolved = realPath(filePath);
+    return allowlist.roots.some(root => isInside(root, resolved));
+}
+
+/**
+ * Refuse a path outside the allowed roots
+ * @param {string} filePath - File or directory about to be read or written
+ * @returns {string} The path, unchanged
+ */
+function checkPath(filePath) {
+    if (!isAllowed(filePath)) {
+        throw new Error(`${path.resolve(filePath)} is outside the native host's allowed roots${allowlistHint()}`);
+    }
+    return filePath;
+}
+
+/**
+ * Refuse a locale root outside the allowed roots
+ * @param {string} root - Root directory from the extension's settings
+ */
+function checkRoot(root) {
+    if (!isAllowed(root)) {
+        throw new Error(`Root ${path.resolve(root)} is not in the native host's allowed roots${allowlistHint()}`);
+    }
+}
+
+function allowlistHint() {
+    if (!allowlist.source) return '';
+    return allowlist.roots.length === 0 ?
+        ` - none are configured, add your locale directories to "allowedRoots" in ${allowlist.source}` :
+        ` - add it to "allowedRoots" in ${allowlist.source}`;
+}
+
+/**
+ * Whether a language code is a single safe path segment ("de", "pt-BR", "zh_Hant")
+ * @param {string} lang - Language code
+ * @returns {boolean} True if usable in a path
+ */
+function isSafeLang(lang) {
+    return typeof lang === 'string' && SAFE_SEGMENT.test(lang);
+}
+
+/**
+ * Whether a namespace is one or more safe path segments ("common", "admin/users")
+ * @param {string} ns - Namespace
+ * @returns {boolean} True if usable in a path
+ */
+function isSafeNamespace(ns) {
+    return typeof ns === 'string' && ns.split('/').every(segment => SAFE_SEGMENT.test(segment));
+}
+
+/**
+ * Refuse a language code that is not a single safe path segment (see isSafeLang)
+ * @param {string} lang - Language code
+ */
+function checkLang(lang) {
+    if (!isSafeLang(lang)) {
+        throw new Error(`Invalid language code: ${JSON.stringify(lang)}`);
+    }
+}
+
+/**
+ * Refuse a namespace that is not one or more safe path segments (see isSafeNamespace)
+ * @param {string} ns - Namespace
+ */
+function checkNamespace(ns) {
+    if (!isSafeNamespace(ns)) {
+        throw new Error(`Invalid namespace: ${JSON.stringify(ns)}`);
+    }
+}
+
+module.exports = {
+    HOST_CONFIG_NAME,
+    hostConfigPath,
+    loadHostConfig,
+    setAllowedRoots,
+    allowedRoots,
+    realPath,
+    isAllowed,
+    checkPath,
+    checkRoot,
+    isSafeLang,
+    isSafeNamespace,
+    checkLang,
+    checkNamespace,
+};
@@ -0,0 +1,308 @@
+// exchange.js - Translator exchange: export keys to XLIFF 2.0 or CSV, import the result
+// External translators get the source and target value of each key (the keys tagged on a
+// page, or edited in a session) with the page URL as context. Every entry also carries the
+// target value at export time, which the import sends as the old value: keys changed in
+// the project since the export come back as conflicts instead of being overwritten.
+
+const { localeLayout, resolveNamespaces, findKey } = require('./locale-resolver');
+const { lookupValue } = require('./formats');
+const { encode, encodeAttribute, decode } = require('./formats/xliff');
+const { comparePlaceholders, describePlaceholderProblems } = require('./placeholders');
+const { updateI18n } = require('./update-i18n');
+
+const EXCHANGE_FORMATS = ['xliff', 'csv'];
+
+const CSV_COLUMNS = ['key', 'namespace', 'source', 'target', 'original_target', 'source_language', 'target_language', 'context'];
+
+// String value of a key in one language, with the namespace it was found in
+function lookupEntry(layout, lang, key, namespaces) {
+    const found = findKey(layout, lang, key, namespaces);
+    if (!found) return null;
+    const value = lookupValue(found, found.fileKey);
+    return typeof value === 'string' ? { ns: found.ns, value } : null;
+}
+
+/**
+ * Source and target values of keys, read like template lookups
+ * @param {Object} config - { root, pathTemplate, fileFormat, namespaces }
+ * @param {Array<Object>} keys - [{ key, ns }]
+ * @param {Object} options - { sourceLang, targetLang }
+ * @returns {Object} { entries: [{ key, ns, source, target }], missing: keys found in neither language }
+ *   target is null where only the source language has the key
+ */
+function collectTranslations(config, keys, { sourceLang, targetLang }) {
+    const layout = localeLayout(config);
+    const entries = [];
+    const missing = [];
+    const seen = new Set();
+
+    for (const { key, ns } of keys) {
+        const namespaces = resolveNamespaces(ns, config.namespaces);
+        const target = lookupEntry(layout, targetLang, key, namespaces);
+        const source = lookupEntry(layout, sourceLang, key, namespaces);
+        if (!target && !source) {
+            missing.push(key);
+            continue;
+        }
+        // The namespace the key really lives in, so tags relying on the fallback chain import cleanly
+        const entryNs = (target || source).ns;
+        if (seen.has(`${entryNs}|${key}`)) continue;
+        seen.add(`${entryNs}|${key}`);
+        entries.push({ key, ns: entryNs, source: source ? source.value : '', target: target ? target.value : null });
+    }
+    return { entries, missing };
+}
+
+/**
+ * Export keys for translators
+ * @param {Object} config - Locale layout and namespaces (see collectTranslations)
+ * @param {Array<Object>} keys - [{ key, ns }]
+ * @param {Object} options - { format: "xliff" or "csv", sourceLang, targetLang, context (page URL) }
+ * @returns {Object} { content, fileName, count, missing }
+ */
+function exportTranslations(config, keys, options) {
+    const format = options.format || 'xliff';
+    if (!EXCHANGE_FORMATS.includes(format)) {
+        throw new Error(`Unknown exchange format: ${format} (supported: ${EXCHANGE_FORMATS.join(', ')})`);
+    }
+    const { entries, missing } = collectTranslations(config, keys, options);
+    if (entries.length === 0) {
+        throw new Error('None of the keys exist in the source or target language');
+    }
+
+    const content = format === 'xliff' ? toXliff(entries, options) : toCsv(entries, options);
+    const fileName = `translations-${options.sourceLang}-${options.targetLang}.${format === 'xliff' ? 'xlf' : 'csv'}`;
+    return { content, fileName, count: entries.length, missing };
+}
+
+// Unit name: "ns:key" (i18next's namespace separator), the key alone without a namespace
+function unitName(entry) {
+    return entry.ns ? `${entry.ns}:${entry.key}` : entry.key;
+}
+
+function parseUnitName(name) {
+    const at = name.indexOf(':');
+    return at > 0 ? { ns: name.slice(0, at), key: name.slice(at + 1) } : { ns: undefined, key: name };
+}
+
+function toXliff(entries, { sourceLang, targetLang, context }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${encodeAttribute(sourceLang)}" trgLang="${encodeAttribute(targetLang)}">`,
+        `  <file id="f1"${context ? ` original="${encodeAttribute(context)}"` : ''}>`,
+    ];
+    if (context) {
+        lines.push('    <notes>', `      <note category="context">${encode(context)}</note>`, '    </notes>');
+    }
+    entries.forEach((entry, idx) => {
+        lines.push(`    <unit id="u${idx + 1}" name="${encodeAttribute(unitName(entry))}">`);
+        // The value the import expects to still find in the project
+        if (entry.target !== null) {
+            lines.push('      <notes>', `        <note category="original">${encode(entry.target)}</note>`, '      </notes>');
+        }
+        lines.push(
+            `      <segment state="${entry.target !== null ? 'translated' : 'initial'}">`,
+            `        <source>${encode(entry.source)}</source>`,
+            ...(entry.target !== null ? [`        <target>${encode(entry.target)}</target>`] : []),
+            '      </segment>',
+            '    </unit>'
+        );
+    });
+    lines.push('  </file>', '</xliff>', '');
+    return lines.join('\n');
+}
+
+function attribute(attributes, name) {
+    const m = new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`).exec(attributes);
+    return m ? decode(m[1]) : null;
+}
+
+// Text of every <tag> in a unit, joined (translation tools may split a unit into segments)
+function elementText(body, tag) {
+    const parts = [];
+    const re = new RegExp(`<${tag}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    let m;
+    while ((m = re.exec(body)) !== null) parts.push(decode(m[1] || ''));
+    return parts.length > 0 ? parts.join('') : null;
+}
+
+function parseXliff(text) {
+    const root = /<xliff\b([^>]*)>/.exec(text);
+    if (!root || !/^2\./.test(attribute(root[1], 'version') || '')) {
+        throw new Error('Not an XLIFF 2.0 document');
+    }
+    const entries = [];
+    const unitRe = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+    let m;
+    while ((m = unitRe.exec(text)) !== null) {
+        const name = attribute(m[1], 'name') || attribute(m[1], 'id');
+        const original = /<note\b[^>]*\bcategory\s*=\s*"original"[^>]*>([\s\S]*?)<\/note>/.exec(m[2]);
+        entries.push({
+            ...parseUnitName(name),
+            source: elementText(m[2], 'source') || '',
+            target: elementText(m[2], 'target') || '',
+            original: original ? decode(original[1]) : null,
+        });
+    }
+    return { targetLang: attribute(root[1], 'trgLang'), entries };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 with a byte order mark, so spreadsheet programs read it as UTF-8
+function toCsv(entries, { sourceLang, targetLang, context }) {
+    const rows = [CSV_COLUMNS, ...entries.map(entry => [
+        entry.key, entry.ns, entry.source, entry.target, entry.target, sourceLang, targetLang, context,
+    ])];
+    return `\ufeff${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+// Rows of fields; quoted fields may contain separators, quotes ("") and line breaks
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\ufeff/, ''));
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    for (const required of ['key', 'target']) {
+        if (!columns.includes(required)) {
+            throw new Error(`CSV has no "${required}" column`);
+        }
+    }
+    const cell = (fields, name) => (columns.includes(name) ? fields[columns.indexOf(name)] || '' : '');
+    const entries = rows.map(fields => ({
+        key: cell(fields, 'key').trim(),
+        ns: cell(fields, 'namespace').trim() || undefined,
+        lang: cell(fields, 'target_language').trim() || undefined,
+        source: cell(fields, 'source'),
+        target: cell(fields, 'target'),
+        // No column: the key is new to the target language (or the file predates the column)
+        original: columns.includes('original_target') && cell(fields, 'original_target') !== '' ? cell(fields, 'original_target') : null,
+    }));
+    return { targetLang: null, entries: entries.filter(entry => entry.key) };
+}
+
+/**
+ * Parse an exchange file
+ * @param {string} content - File contents
+ * @param {string} [format] - "xliff" or "csv" (default: XLIFF if it looks like XML)
+ * @returns {Object} { targetLang, entries: [{ key, ns, lang, source, target, original }] }
+ */
+function parseExchange(content, format) {
+    const kind = format || (/^\s*</.test(content.replace(/^\ufeff/, '')) ? 'xliff' : 'csv');
+    if (!EXCHANGE_FORMATS.includes(kind)) {
+        throw new Error(`Unknown exchange format: ${kind} (supported: ${EXCHANGE_FORMATS.join(', ')})`);
+    }
+    return kind === 'xliff' ? parseXliff(content) : parseCsv(content);
+}
+
+/**
+ * Apply a translated exchange file through updateI18n, with old value verification
+ * Entries without a translation, unchanged ones and ones whose placeholders differ from the
+ * source are skipped; keys new to the target language are created. Each entry is written to
+ * the namespace it names, without searching the fallback chain.
+ * @param {Object} config - Update config without payload (see updateI18n); lang is the target
+ *   language unless the file names one
+ * @param {string} content - File contents
+ * @param {Object} [options] - { format }
+ * @returns {Object} { success, applied: [{ key, ns, lang, value }], skipped: [{ key, ns, reason }],
+ *   conflicts (see mismatchConflict), message }
+ */
+function importTranslations(config, content, options = {}) {
+    const { targetLang, entries } = parseExchange(content, options.format);
+    const skipped = [];
+    const payload = [];
+
+    for (const entry of entries) {
+        const skip = reason => skipped.push({ key: entry.key, ns: entry.ns, reason });
+        if (!entry.target) {
+            skip('No translation');
+            continue;
+        }
+        if (entry.target === entry.original) {
+            skip('Unchanged');
+            continue;
+        }
+        const placeholders = comparePlaceholders(entry.source, entry.target);
+        if (entry.source && !placeholders.ok) {
+            skip(`Placeholder mismatch: ${describePlaceholderProblems(placeholders)}`);
+            continue;
+        }
+        payload.push({
+            key: entry.key,
+            ns: entry.ns,
+            lang: entry.lang || targetLang || config.lang,
+            old: entry.original || '',
+            new: entry.target,
+            create: !entry.original,
+        });
+    }
+
+    let applied = [];
+    let conflicts = [];
+    let failed = [];
+    if (payload.length > 0) {
+        // Each entry names its namespace (the export writes the one the key was found in), so
+        // write exactly there: every result then matches its item on key, ns and lang
+        const result = updateI18n({ ...config, namespaces: [], force: false, atomic: false, payload });
+        const sameItem = done => item => item.key === done.key && (item.ns || null) === done.ns && item.lang === done.lang;
+        applied = result.applied.map(done => ({ ...done, value: payload.find(sameItem(done)).new }));
+        conflicts = result.conflicts;
+        failed = result.failed;
+        failed.forEach(item => skipped.push({ key: item.key, ns: item.ns, reason: item.error }));
+    }
+
+    return {
+        success: failed.length === 0 && conflicts.length === 0,
+        applied,
+        skipped,
+        conflicts,
+        message: `Applied ${applied.length}, skipped ${skipped.length}, ${conflicts.length} conflict(s)`,
+    };
+}
+
+module.exports = {
+    EXCHANGE_FORMATS,
+    collectTranslations,
+    exportTranslations,
+    parseExchange,
+    importTranslations,
+};
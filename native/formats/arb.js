@@ -0,0 +1,37 @@
+// formats/arb.js - Flutter Application Resource Bundle (.arb)
+// Flat JSON; "@key" entries hold a message's metadata and "@@locale" the language.
+// Metadata is kept as is and never exposed as a translation.
+
+const { resolveFormat, stringify, applyChanges } = require('../json-format');
+
+module.exports = {
+    name: 'arb',
+    extensions: ['.arb'],
+    nested: false,
+
+    parse(text) {
+        const entries = {};
+        for (const [key, value] of Object.entries(JSON.parse(text))) {
+            if (!key.startsWith('@')) {
+                entries[key] = value;
+            }
+        }
+        return entries;
+    },
+
+    write(text, changes, context) {
+        for (const { key } of changes) {
+            if (key.startsWith('@')) {
+                throw new Error(`'${key}' is ARB metadata, not a message`);
+            }
+        }
+        if (text) {
+            return applyChanges(text, changes.map(({ key, value }) => ({ path: [key], value })), context.format);
+        }
+        const data = { '@@locale': context.lang };
+        for (const { key, value } of changes) {
+            data[key] = value;
+        }
+        return stringify(data, resolveFormat(null, context.format));
+    },
+};
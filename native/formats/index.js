@@ -0,0 +1,147 @@
+// formats/index.js - Locale file format adapters
+// An adapter reads, looks up and writes one file format:
+//   name, extensions  - Selected by name (profile "fileFormat") or by file extension
+//   nested            - parse() returns nested objects ("a.b" is data.a.b) rather than flat keys
+//   parse(text, ctx)  - Lookup data of a file
+//   write(text, changes, ctx) - New file contents with changes [{ key, value }] applied,
+//                       existing keys updated in place and missing ones added; comments and
+//                       the order of everything else are kept (text is null for a new file)
+// ctx is { lang, format } (format: JSON formatting overrides, see json-format.js)
+
+const fs = require('fs');
+const path = require('path');
+const { checkPath } = require('../confinement');
+
+const ADAPTERS = [
+    require('./json'),
+    require('./yaml'),
+    require('./po'),
+    require('./properties'),
+    require('./arb'),
+    require('./xliff'),
+];
+
+/**
+ * Adapter by format name
+ * @param {string} name - e.g. "yaml"
+ * @returns {Object} Adapter
+ */
+function adapterByName(name) {
+    const adapter = ADAPTERS.find(candidate => candidate.name === name);
+    if (!adapter) {
+        throw new Error(`Unknown file format: ${name} (supported: ${ADAPTERS.map(a => a.name).join(', ')})`);
+    }
+    return adapter;
+}
+
+/**
+ * Adapter for a locale file: the configured format, else the one owning its extension
+ * Backups ({file}.backup-{timestamp}{ext}) resolve like the file they were taken of
+ * @param {string} filePath - Locale file
+ * @param {string} [fileFormat] - Format name from the profile ("auto" or empty: by extension)
+ * @returns {Object} Adapter
+ */
+function adapterFor(filePath, fileFormat) {
+    if (fileFormat && fileFormat !== 'auto') {
+        return adapterByName(fileFormat);
+    }
+    const ext = path.extname(filePath).toLowerCase();
+    const adapter = ADAPTERS.find(candidate => candidate.extensions.includes(ext));
+    if (!adapter) {
+        throw new Error(`No file format for ${path.basename(filePath)}`);
+    }
+    return adapter;
+}
+
+/**
+ * Extensions locale files are looked up with, in order of preference
+ * @param {string} [fileFormat] - Format name (only its extensions), or all formats
+ * @returns {Array<string>} e.g. ['.json', '.yml', ...]
+ */
+function localeExtensions(fileFormat) {
+    if (fileFormat && fileFormat !== 'auto') {
+        return adapterByName(fileFormat).extensions;
+    }
+    return ADAPTERS.flatMap(adapter => adapter.extensions);
+}
+
+/**
+ * Read and parse a locale file
+ * @param {string} filePath - Locale file
+ * @param {Object} context - { lang, format, fileFormat }
+ * @returns {Object} { filePath, text, data, adapter }
+ */
+function readLocaleFile(filePath, context) {
+    const adapter = adapterFor(filePath, context.fileFormat);
+    const text = fs.readFileSync(checkPath(filePath), 'utf-8');
+    return { filePath, text, data: adapter.parse(text, context), adapter };
+}
+
+/**
+ * Value of a key in a file read by readLocaleFile
+ * @param {Object} doc - { data, adapter }
+ * @param {string} key - Dot-separated key
+ * @returns {*} The value, or null if the key does not exist
+ */
+function lookupValue(doc, key) {
+    if (!doc.adapter.nested) {
+        return Object.prototype.hasOwnProperty.call(doc.data, key) ? doc.data[key] : null;
+    }
+    let current = doc.data;
+    for (const segment of key.split('.')) {
+        if (!current || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+            return null;
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
+/**
+ * Whether a key exists in a file read by readLocaleFile
+ * @param {Object} doc - { data, adapter }
+ * @param {string} key - Dot-separated key
+ * @returns {boolean} True if the key exists (even with a null value)
+ */
+function hasKey(doc, key) {
+    if (!doc.adapter.nested) {
+        return Object.prototype.hasOwnProperty.call(doc.data, key);
+    }
+    const segments = key.split('.');
+    const last = segments.pop();
+    const parent = segments.length > 0 ? lookupValue(doc, segments.join('.')) : doc.data;
+    return !!parent && typeof parent === 'object' && Object.prototype.hasOwnProperty.call(parent, last);
+}
+
+/**
+ * Every leaf of a file read by readLocaleFile as { "a.b.c": value }
+ * @param {Object} doc - { data, adapter }
+ * @returns {Object} Flat key -> value map
+ */
+function flattenLocale(doc) {
+    return doc.adapter.nested ? flatten(doc.data) : { ...doc.data };
+}
+
+function flatten(obj, prefix = '', out = {}) {
+    for (const [k, v] of Object.entries(obj || {})) {
+        const fullKey = prefix ? `${prefix}.${k}` : k;
+        if (v && typeof v === 'object' && !Array.isArray(v)) {
+            flatten(v, fullKey, out);
+        } else {
+            out[fullKey] = v;
+        }
+    }
+    return out;
+}
+
+module.exports = {
+    ADAPTERS,
+    adapterByName,
+    adapterFor,
+    localeExtensions,
+    readLocaleFile,
+    lookupValue,
+    hasKey,
+    flattenLocale,
+    flatten,
+};
@@ -0,0 +1,49 @@
+// formats/json.js - Nested i18next JSON ({ "a": { "b": "value" } })
+// Formatting is detected and preserved by json-format.js
+
+const { resolveFormat, stringify, applyChanges } = require('../json-format');
+
+/**
+ * Set a dot-separated key in nested data, creating intermediate objects
+ * @param {Object} data - Parsed JSON
+ * @param {string} keyPath - Dot-separated path (e.g., "a.b.c")
+ * @param {string} value - New value
+ */
+function setNested(data, keyPath, value) {
+    const segments = keyPath.split('.');
+    let cursor = data;
+
+    for (let i = 0; i < segments.length - 1; i++) {
+        const segment = segments[i];
+        if (!Object.prototype.hasOwnProperty.call(cursor, segment)) {
+            cursor[segment] = {};
+        } else if (!cursor[segment] || typeof cursor[segment] !== 'object') {
+            throw new Error(`Path segment '${segment}' in '${keyPath}' is not an object`);
+        }
+        cursor = cursor[segment];
+    }
+    cursor[segments[segments.length - 1]] = value;
+}
+
+module.exports = {
+    name: 'json',
+    extensions: ['.json'],
+    nested: true,
+
+    parse(text) {
+        return JSON.parse(text);
+    },
+
+    write(text, changes, context) {
+        if (text) {
+            return applyChanges(text, changes.map(({ key, value }) => ({ path: key.split('.'), value })), context.format);
+        }
+        const data = {};
+        for (const { key, value } of changes) {
+            setNested(data, key, value);
+        }
+        return stringify(data, resolveFormat(null, context.format));
+    },
+
+    setNested,
+};
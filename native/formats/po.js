@@ -0,0 +1,154 @@
+// formats/po.js - Gettext .po catalogs
+// Keys follow i18next-gettext-converter: the msgid, with "_{msgctxt}" appended for
+// entries that have a context, and "_{n}" for the plural form msgstr[n].
+// An edit rewrites only the msgstr of its entry and clears the entry's fuzzy flag;
+// comments, references and entry order stay as they are. New keys are appended.
+
+const { detectFormat } = require('../json-format');
+
+const FIELD_RE = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)[ \t]+(".*)$/;
+
+/**
+ * Split a catalog into entries
+ * @param {string} text - Raw file contents
+ * @returns {Object} { lines, entries: [{ flags, fields: { name: { start, end, value } } }] }
+ *   flags is the line index of the "#," comment (or -1)
+ */
+function scan(text) {
+    const lines = text.split(/\r?\n/);
+    const entries = [];
+    let entry = null;
+    let last = null;
+
+    const close = () => {
+        if (entry && entry.fields.msgid && !entry.obsolete) entries.push(entry);
+        entry = null;
+        last = null;
+    };
+    const open = () => {
+        if (!entry) entry = { flags: -1, fields: {}, obsolete: false };
+    };
+
+    lines.forEach((line, i) => {
+        if (line.trim() === '') {
+            close();
+            return;
+        }
+        if (line.startsWith('#')) {
+            // A comment after a msgstr starts the next entry
+            if (entry && Object.keys(entry.fields).some(name => name.startsWith('msgstr'))) close();
+            open();
+            if (line.startsWith('#~')) entry.obsolete = true;
+            if (line.startsWith('#,')) entry.flags = i;
+            last = null;
+            return;
+        }
+        const m = FIELD_RE.exec(line);
+        if (m) {
+            const startsEntry = m[1] === 'msgctxt' || m[1] === 'msgid';
+            if (entry && startsEntry && Object.keys(entry.fields).some(name => name.startsWith('msgstr'))) close();
+            open();
+            last = { start: i, end: i, value: unquote(m[3]) };
+            entry.fields[m[1]] = last;
+            return;
+        }
+        if (line.startsWith('"') && last) {
+            last.value += unquote(line);
+            last.end = i;
+        }
+    });
+    close();
+    return { lines, entries };
+}
+
+// Key -> { entry, field } for every translatable msgstr (the header entry is skipped)
+function indexEntries(entries) {
+    const index = new Map();
+    for (const entry of entries) {
+        const { msgctxt, msgid, msgid_plural: plural } = entry.fields;
+        if (msgid.value === '' && !msgctxt) continue;
+
+        const base = msgctxt ? `${msgid.value}_${msgctxt.value}` : msgid.value;
+        if (plural) {
+            for (const name of Object.keys(entry.fields)) {
+                const m = /^msgstr\[(\d+)\]$/.exec(name);
+                if (m) index.set(`${base}_${m[1]}`, { entry, field: name });
+            }
+        } else if (entry.fields.msgstr) {
+            index.set(base, { entry, field: 'msgstr' });
+        }
+    }
+    return index;
+}
+
+function unquote(raw) {
+    const m = /^"((?:[^"\\]|\\.)*)"/.exec(raw.trim());
+    if (!m) return '';
+    return m[1].replace(/\\(.)/g, (match, ch) => ({ n: '\n', t: '\t', r: '\r' }[ch] || ch));
+}
+
+function quote(value) {
+    return `"${value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n')}"`;
+}
+
+// Multi-line values are split after each \n, the way msgmerge writes them
+function renderField(name, value) {
+    const parts = value.split(/(?<=\n)(?=.)/s);
+    if (parts.length <= 1) return [`${name} ${quote(value)}`];
+    return [`${name} ""`, ...parts.map(quote)];
+}
+
+module.exports = {
+    name: 'po',
+    extensions: ['.po', '.pot'],
+    nested: false,
+
+    parse(text) {
+        const entries = {};
+        for (const [key, { entry, field }] of indexEntries(scan(text).entries)) {
+            entries[key] = entry.fields[field].value;
+        }
+        return entries;
+    },
+
+    write(text, changes) {
+        const format = text ? detectFormat(text) : { eol: '\n', trailingNewline: true };
+        let { lines, entries } = scan(text || '');
+
+        for (const { key, value } of changes) {
+            const found = indexEntries(entries).get(key);
+            if (found) {
+                const field = found.entry.fields[found.field];
+                lines.splice(field.start, field.end - field.start + 1, ...renderField(found.field, value));
+
+                // A reviewed translation is no longer fuzzy (the flags line comes before the fields)
+                const flags = found.entry.flags;
+                if (flags >= 0 && /\bfuzzy\b/.test(lines[flags])) {
+                    const rest = lines[flags].slice(2).split(',').map(flag => flag.trim()).filter(flag => flag && flag !== 'fuzzy');
+                    if (rest.length > 0) {
+                        lines[flags] = `#, ${rest.join(', ')}`;
+                    } else {
+                        lines.splice(flags, 1);
+                    }
+                }
+            } else {
+                let at = lines.length;
+                while (at > 0 && lines[at - 1] === '') at--;
+                const entry = [...renderField('msgid', key), ...renderField('msgstr', value)];
+                lines.splice(at, 0, ...(at > 0 ? ['', ...entry] : entry));
+            }
+            ({ lines, entries } = scan(lines.join('\n')));
+        }
+
+        let out = lines.join(format.eol);
+        if (format.trailingNewline && !out.endsWith(format.eol)) {
+            out += format.eol;
+        }
+        return out;
+    },
+};
@@ -0,0 +1,115 @@
+// formats/properties.js - Java .properties resource bundles
+// Flat keys; an edit rewrites only the logical line of its entry (continuation lines
+// included), comments, blank lines and order stay as they are. Non-ASCII characters are
+// written as \uXXXX escapes when the file already uses them (or is new), raw otherwise.
+
+const { detectFormat } = require('../json-format');
+
+/**
+ * Split a .properties file into its key/value entries
+ * @param {string} text - Raw file contents
+ * @returns {Object} { lines, entries: [{ start, end, key, value, indent, keyRaw, separator }] }
+ *   start/end are the first and last natural line of the entry
+ */
+function scan(text) {
+    const lines = text.split(/\r?\n/);
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const start = i;
+        const indent = /^[ \t\f]*/.exec(lines[i])[0];
+        let logical = lines[i].slice(indent.length);
+        if (logical === '' || logical[0] === '#' || logical[0] === '!') continue;
+
+        while (isContinued(logical)) {
+            logical = logical.slice(0, -1);
+            if (i + 1 >= lines.length) break;
+            logical += lines[++i].replace(/^[ \t\f]+/, '');
+        }
+
+        const m = /^((?:\\[\s\S]|[^\\=:\s])*)([ \t\f]*[=:]?[ \t\f]*)([\s\S]*)$/.exec(logical);
+        entries.push({
+            start,
+            end: i,
+            key: unescape(m[1]),
+            value: unescape(m[3]),
+            indent,
+            keyRaw: m[1],
+            separator: m[2],
+        });
+    }
+    return { lines, entries };
+}
+
+// A line continues on the next one when it ends with an odd number of backslashes
+function isContinued(line) {
+    const m = /\\+$/.exec(line);
+    return !!m && m[0].length % 2 === 1;
+}
+
+function unescape(raw) {
+    return raw.replace(/\\(u[0-9a-fA-F]{4}|[\s\S])/g, (match, code) => {
+        if (code.length === 5) return String.fromCharCode(parseInt(code.slice(1), 16));
+        return { t: '\t', n: '\n', r: '\r', f: '\f' }[code] || code;
+    });
+}
+
+function escape(value, format, isKey) {
+    let out = value
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\f/g, '\\f');
+    out = isKey ?
+        out.replace(/[=: ]/g, '\\$&').replace(/^[#!]/, '\\$&') :
+        out.replace(/^ /, '\\ ');
+    if (format.escapeUnicode) {
+        out = out.replace(/[\u0080-\uffff]/g, (ch) => {
+            const hex = ch.charCodeAt(0).toString(16).padStart(4, '0');
+            return `\\u${format.escapeUpperCase ? hex.toUpperCase() : hex}`;
+        });
+    }
+    return out;
+}
+
+module.exports = {
+    name: 'properties',
+    extensions: ['.properties'],
+    nested: false,
+
+    parse(text) {
+        const entries = {};
+        for (const entry of scan(text).entries) {
+            entries[entry.key] = entry.value;
+        }
+        return entries;
+    },
+
+    write(text, changes) {
+        const format = text ? detectFormat(text) :
+            { eol: '\n', trailingNewline: true, escapeUnicode: true, escapeUpperCase: true };
+        let { lines, entries } = scan(text || '');
+
+        for (const { key, value } of changes) {
+            const entry = entries.find(candidate => candidate.key === key);
+            if (entry) {
+                lines.splice(entry.start, entry.end - entry.start + 1,
+                    `${entry.indent}${entry.keyRaw}${entry.separator || '='}${escape(value, format, false)}`);
+            } else {
+                const separator = entries.length > 0 ? entries[entries.length - 1].separator : '=';
+                // Before the empty string left by the trailing newline
+                let at = lines.length;
+                while (at > 0 && lines[at - 1] === '') at--;
+                lines.splice(at, 0, `${escape(key, format, true)}${separator || '='}${escape(value, format, false)}`);
+            }
+            ({ lines, entries } = scan(lines.join('\n')));
+        }
+
+        let out = lines.join(format.eol);
+        if (format.trailingNewline && !out.endsWith(format.eol)) {
+            out += format.eol;
+        }
+        return out;
+    },
+};
@@ -0,0 +1,148 @@
+// formats/xliff.js - XLIFF 1.2 (<trans-unit>) and 2.0 (<unit><segment>) files
+// The key is the unit id and the value its <target>; units without a target count as
+// missing. An edit replaces only the target's text (creating the element after <source>
+// if needed), so notes, attributes and the rest of the document stay as they are.
+// Inline markup (<g>, <x/>, <ph>) in targets is not supported.
+
+const { detectFormat } = require('../json-format');
+
+// Units with their id, in document order
+function scan(text) {
+    const units = [];
+    const unitRe = /<(trans-unit|unit)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    let m;
+    while ((m = unitRe.exec(text)) !== null) {
+        const id = /\bid\s*=\s*"([^"]*)"/.exec(m[2]);
+        if (!id) continue;
+        const bodyStart = m.index + m[0].indexOf('>') + 1;
+        units.push({ id: decode(id[1]), start: m.index, end: unitRe.lastIndex, bodyStart, body: m[3] });
+    }
+    return units;
+}
+
+// <target ...>text</target> (or <target/>) inside a unit body, offsets relative to the body
+function findTarget(body) {
+    const m = /<target\b[^>]*?(?:\/>|>([\s\S]*?)<\/target>)/.exec(body);
+    if (!m) return null;
+    const open = m[0].endsWith('/>') ? m[0].slice(0, -2).replace(/\s+$/, '') : m[0].slice(0, m[0].indexOf('>'));
+    return { start: m.index, end: m.index + m[0].length, open, value: decode(m[1] || '') };
+}
+
+function decode(raw) {
+    return raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, cdata, entity) => {
+        if (cdata !== undefined) return cdata;
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity];
+    });
+}
+
+function encode(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function encodeAttribute(value) {
+    return encode(value).replace(/"/g, '&quot;');
+}
+
+function emptyDocument(lang, eol) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        `  <file source-language="en" target-language="${encodeAttribute(lang)}" datatype="plaintext" original="messages">`,
+        '    <body>',
+        '    </body>',
+        '  </file>',
+        '</xliff>',
+        '',
+    ].join(eol);
+}
+
+// New unit for a key, indented like the last existing one
+function insertUnit(text, key, value, eol) {
+    const isV2 = /<xliff\b[^>]*\bversion\s*=\s*"2\./.test(text);
+    const close = isV2 ? '</file>' : '</body>';
+    const at = text.lastIndexOf(close);
+    if (at < 0) {
+        throw new Error(`Cannot add ${key}: no ${close} in the document`);
+    }
+
+    const units = scan(text);
+    const lastUnit = units[units.length - 1];
+    const lineStart = text.lastIndexOf('\n', (lastUnit ? lastUnit.start : at) - 1) + 1;
+    const indent = /^[ \t]*/.exec(text.slice(lineStart))[0] || '      ';
+    const step = indent.includes('\t') ? '\t' : '  ';
+    const id = encodeAttribute(key);
+    const source = encode(value);
+
+    const unit = isV2 ? [
+        `${indent}<unit id="${id}">`,
+        `${indent}${step}<segment>`,
+        `${indent}${step}${step}<source>${source}</source>`,
+        `${indent}${step}${step}<target>${source}</target>`,
+        `${indent}${step}</segment>`,
+        `${indent}</unit>`,
+    ] : [
+        `${indent}<trans-unit id="${id}">`,
+        `${indent}${step}<source>${source}</source>`,
+        `${indent}${step}<target>${source}</target>`,
+        `${indent}</trans-unit>`,
+    ];
+
+    // Keep the closing tag on its own line, at its own indentation
+    const closeLineStart = text.lastIndexOf('\n', at - 1) + 1;
+    const insertAt = /^[ \t]*$/.test(text.slice(closeLineStart, at)) ? closeLineStart : at;
+    const prefix = insertAt === at ? eol : '';
+    return `${text.slice(0, insertAt)}${prefix}${unit.join(eol)}${eol}${text.slice(insertAt)}`;
+}
+
+module.exports = {
+    name: 'xliff',
+    extensions: ['.xlf', '.xliff'],
+    nested: false,
+
+    // XML text escaping, shared with the translator exchange (see exchange.js)
+    decode,
+    encode,
+    encodeAttribute,
+
+    parse(text) {
+        const entries = {};
+        for (const unit of scan(text)) {
+            const target = findTarget(unit.body);
+            if (target) entries[unit.id] = target.value;
+        }
+        return entries;
+    },
+
+    write(text, changes, context) {
+        const eol = text ? detectFormat(text).eol : '\n';
+        let out = text || emptyDocument(context.lang, eol);
+
+        for (const { key, value } of changes) {
+            const unit = scan(out).find(candidate => candidate.id === key);
+            if (!unit) {
+                out = insertUnit(out, key, value, eol);
+                continue;
+            }
+
+            const target = findTarget(unit.body);
+            let body;
+            if (target) {
+                body = `${unit.body.slice(0, target.start)}${target.open}>${encode(value)}</target>${unit.body.slice(target.end)}`;
+            } else {
+                const sourceEnd = unit.body.indexOf('</source>');
+                if (sourceEnd < 0) {
+                    throw new Error(`Unit ${key} has no <source>`);
+                }
+                // On its own line, aligned with <source>
+                const at = sourceEnd + '</source>'.length;
+                const sourceIndent = /(\r?\n[ \t]*)<source\b/.exec(unit.body);
+                body = `${unit.body.slice(0, at)}${sourceIndent ? sourceIndent[1] : ''}<target>${encode(value)}</target>${unit.body.slice(at)}`;
+            }
+            out = `${out.slice(0, unit.bodyStart)}${body}${out.slice(unit.bodyStart + unit.body.length)}`;
+        }
+        return out;
+    },
+};
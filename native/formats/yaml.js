@@ -0,0 +1,347 @@
+// formats/yaml.js - YAML locale files, plain i18next style or Rails style (a single
+// top-level key named after the language: "de: { cart: { title: ... } }")
+// Supports the subset locale files use: nested mappings, plain/quoted/block scalars and
+// comments. Sequences are read as lists of their items' text; like flow collections and
+// anchors they are left untouched and not editable.
+// An edit rewrites only the lines of its scalar (keeping a trailing comment and the quoting
+// style where possible); new keys are inserted at the end of their parent mapping.
+
+const { detectFormat } = require('../json-format');
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?=[ \t]|$)[ \t]*(.*)$/;
+const BLOCK_RE = /^([|>])([+-]?)\d*[ \t]*(#.*)?$/;
+
+/**
+ * Index the mappings and scalars of a YAML document
+ * @param {string} text - Raw file contents
+ * @returns {Object} { lines, data, scalars, mappings, unit }
+ *   scalars/mappings: Map of dotted path -> { start, end, indent, keyText, style, comment }
+ *   (mappings also get childIndent); the root mapping is stored under ''
+ */
+function scan(text) {
+    const lines = text.split(/\r?\n/);
+    const data = {};
+    const scalars = new Map();
+    const mappings = new Map([['', { start: -1, end: -1, indent: -1, childIndent: null }]]);
+    const stack = [{ indent: -1, path: [], node: data, mapping: mappings.get('') }];
+    let unit = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed === '---' || trimmed === '...' || trimmed.startsWith('%')) {
+            continue;
+        }
+
+        const indent = line.length - line.trimStart().length;
+        const isItem = trimmed === '-' || trimmed.startsWith('- ');
+        // Sequence items may sit at the indentation of their key
+        while (stack[stack.length - 1].indent > indent ||
+            (stack[stack.length - 1].indent === indent && !(isItem && opensSequence(stack[stack.length - 1])))) {
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1];
+
+        if (parent.mapping.sequence || (isItem && opensSequence(parent))) {
+            sequenceLine(stack, trimmed, isItem, indent, mappings);
+            markEnd(stack, i);
+            continue;
+        }
+
+        const m = KEY_RE.exec(trimmed);
+        if (!m || isItem) {
+            // Other content belongs to the enclosing key
+            markEnd(stack, i);
+            continue;
+        }
+
+        if (parent.mapping.childIndent === null) {
+            parent.mapping.childIndent = indent;
+            if (parent.indent >= 0 && unit === null) unit = indent - parent.indent;
+        }
+
+        const key = unquote(m[1]);
+        const pathKey = [...parent.path, key].join('.');
+        const rest = m[2];
+
+        // Nested mapping (or an empty value)
+        if (rest === '' || rest.startsWith('#')) {
+            const mapping = { start: i, end: i, indent, keyText: m[1], childIndent: null };
+            mappings.set(pathKey, mapping);
+            const node = {};
+            parent.node[key] = node;
+            markEnd(stack, i);
+            stack.push({ indent, path: [...parent.path, key], node, mapping });
+            continue;
+        }
+
+        const scalar = { start: i, end: i, indent, keyText: m[1], comment: '' };
+        const block = BLOCK_RE.exec(rest);
+        let value;
+
+        if (block) {
+            // Literal (|) or folded (>) block: every following line indented deeper
+            let end = i;
+            for (let j = i + 1; j < lines.length; j++) {
+                if (lines[j].trim() === '') continue;
+                if (lines[j].length - lines[j].trimStart().length <= indent) break;
+                end = j;
+            }
+            value = blockValue(lines.slice(i + 1, end + 1), block[1], block[2]);
+            Object.assign(scalar, { end, style: block[1], comment: block[3] ? ` ${block[3]}` : '' });
+        } else if (rest[0] === '"' || rest[0] === "'") {
+            // Quoted scalars may continue on following lines
+            let raw = rest;
+            let end = i;
+            let q = closingQuote(raw);
+            while (q < 0 && end + 1 < lines.length) {
+                raw += `\n${lines[++end].trim()}`;
+                q = closingQuote(raw);
+            }
+            value = rest[0] === '"' ? unescapeDouble(fold(raw.slice(1, q))) : fold(raw.slice(1, q)).replace(/''/g, "'");
+            Object.assign(scalar, { end, style: rest[0], comment: raw.slice(q + 1).replace(/^\s*(#.*)?$/, (all, c) => (c ? ` ${c}` : '')) });
+        } else if (/^[[{&*!]/.test(rest)) {
+            // Flow collections, anchors, aliases and tags: not editable
+            parent.node[key] = rest;
+            markEnd(stack, i);
+            continue;
+        } else {
+            // Plain scalars continue on following lines indented deeper, up to a comment
+            let comment = /\s#.*$/.exec(rest);
+            let raw = (comment ? rest.slice(0, comment.index) : rest).trim();
+            let end = i;
+            for (let j = i + 1; !comment && j < lines.length; j++) {
+                const trimmed = lines[j].trim();
+                if (trimmed === '') continue;
+                if (lines[j].length - lines[j].trimStart().length <= indent || trimmed.startsWith('#')) break;
+                comment = /\s#.*$/.exec(trimmed);
+                raw += '\n'.repeat(j - end) + (comment ? trimmed.slice(0, comment.index) : trimmed).trim();
+                end = j;
+            }
+            value = fold(raw);
+            Object.assign(scalar, { end, style: 'plain', comment: comment ? ` ${comment[0].trim()}` : '' });
+        }
+
+        parent.node[key] = value;
+        scalars.set(pathKey, scalar);
+        markEnd(stack, scalar.end);
+        i = scalar.end;
+    }
+
+    return { lines, data, scalars, mappings, unit: unit || 2 };
+}
+
+// A key without a value and without children yet: its first "- " line makes it a sequence
+function opensSequence(entry) {
+    return entry.indent >= 0 && (entry.mapping.sequence || entry.mapping.childIndent === null);
+}
+
+// A line of the sequence on top of the stack: items become its values, deeper lines (nested
+// content of an item) are skipped. A sequence is not a mapping, so nothing can be added to it.
+function sequenceLine(stack, trimmed, isItem, indent, mappings) {
+    const entry = stack[stack.length - 1];
+    if (!entry.mapping.sequence) {
+        entry.mapping.sequence = true;
+        entry.mapping.itemIndent = indent;
+        mappings.delete(entry.path.join('.'));
+        entry.node = [];
+        stack[stack.length - 2].node[entry.path[entry.path.length - 1]] = entry.node;
+    }
+    if (isItem && indent === entry.mapping.itemIndent) {
+        entry.node.push(itemText(trimmed.slice(1).trim()));
+    }
+}
+
+// Text of a sequence item: quoted scalars unquoted, a trailing comment dropped
+function itemText(rest) {
+    const q = rest[0] === '"' || rest[0] === "'" ? closingQuote(rest) : -1;
+    if (q > 0 && /^\s*(#.*)?$/.test(rest.slice(q + 1))) {
+        return rest[0] === '"' ? unescapeDouble(rest.slice(1, q)) : rest.slice(1, q).replace(/''/g, "'");
+    }
+    return rest.replace(/(^|\s)#.*$/, '').trim();
+}
+
+// The current line belongs to every open mapping
+function markEnd(stack, line) {
+    for (const entry of stack) {
+        entry.mapping.end = line;
+    }
+}
+
+function unquote(keyText) {
+    if (keyText[0] === '"') return unescapeDouble(keyText.slice(1, -1));
+    if (keyText[0] === "'") return keyText.slice(1, -1).replace(/''/g, "'");
+    return keyText;
+}
+
+// Index of the closing quote of a quoted scalar (text starts with the opening quote), or -1
+function closingQuote(text) {
+    const quote = text[0];
+    for (let i = 1; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            if (quote === "'" && text[i + 1] === "'") {
+                i++;
+            } else {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+// Line breaks inside quoted and plain scalars fold to a space, empty lines to a newline
+function fold(raw) {
+    return raw.replace(/\n((?:\n)*)/g, (match, blank) => (blank ? '\n'.repeat(blank.length) : ' '));
+}
+
+function unescapeDouble(raw) {
+    return raw.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, code) => {
+        if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+        return { n: '\n', t: '\t', r: '\r', 0: '\0', _: ' ', N: '\u0085' }[code] || code;
+    });
+}
+
+function escapeDouble(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r');
+}
+
+function blockValue(lines, style, chomp) {
+    const contentLines = lines.filter(line => line.trim() !== '');
+    const indent = contentLines.length > 0 ? Math.min(...contentLines.map(line => line.length - line.trimStart().length)) : 0;
+    const body = lines.map(line => line.slice(indent));
+
+    let value = style === '|' ? body.join('\n') :
+        body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+    value = value.replace(/\n*$/, '');
+    if (chomp === '+') return `${value}\n`;
+    return chomp === '-' ? value : `${value}\n`;
+}
+
+// Plain scalars that YAML would read back unchanged as a string
+function isPlainSafe(value) {
+    return value !== '' &&
+        value === value.trim() &&
+        !/[\n\t\r]/.test(value) &&
+        !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+        !/: |:$| #/.test(value) &&
+        !/^(?:true|false|yes|no|on|off|null|~|[-+]?\.?\d)/i.test(value);
+}
+
+function renderKey(key) {
+    return isPlainSafe(key) && !key.includes(':') ? key : `"${escapeDouble(key)}"`;
+}
+
+// Lines for "key: value", in the previous style of the scalar where it still fits
+function renderScalar(indent, keyText, value, previous, unit) {
+    const pad = ' '.repeat(indent);
+    const comment = previous ? previous.comment : '';
+    const style = previous ? previous.style : 'plain';
+
+    const chomp = value.endsWith('\n') ? '' : '-';
+    const lines = value.replace(/\n$/, '').split('\n');
+    const blockLine = line => (line ? `${pad}${' '.repeat(unit)}${line}` : '');
+
+    // Folded: a line break is written as an empty line (lines starting with a space would not fold)
+    if (style === '>' && value.trim() !== '' && !/^\n|\n$|^[ \t]|\n[ \t]/.test(value.replace(/\n$/, ''))) {
+        const body = [];
+        lines.forEach((line, idx) => {
+            if (idx > 0) body.push('');
+            if (line) body.push(blockLine(line));
+        });
+        return [`${pad}${keyText}: >${chomp}${comment}`, ...body];
+    }
+    if (value.includes('\n') && (style === '|' || style === '>')) {
+        return [`${pad}${keyText}: |${chomp}${comment}`, ...lines.map(blockLine)];
+    }
+    if (style === "'" && !value.includes('\n')) {
+        return [`${pad}${keyText}: '${value.replace(/'/g, "''")}'${comment}`];
+    }
+    if (style === 'plain' && isPlainSafe(value)) {
+        return [`${pad}${keyText}: ${value}${comment}`];
+    }
+    return [`${pad}${keyText}: "${escapeDouble(value)}"${comment}`];
+}
+
+// Value at a path in scanned data, or undefined
+function valueAt(data, segments) {
+    let cursor = data;
+    for (const segment of segments) {
+        if (!cursor || typeof cursor !== 'object' || !Object.prototype.hasOwnProperty.call(cursor, segment)) {
+            return undefined;
+        }
+        cursor = cursor[segment];
+    }
+    return cursor;
+}
+
+// Rails-style files nest everything under the language code
+function languageRoot(doc, lang) {
+    const keys = Object.keys(doc.data);
+    return lang && keys.length === 1 && keys[0] === lang && doc.mappings.has(lang) ? lang : null;
+}
+
+module.exports = {
+    name: 'yaml',
+    extensions: ['.yml', '.yaml'],
+    nested: true,
+
+    parse(text, context) {
+        const doc = scan(text);
+        const rootKey = languageRoot(doc, context.lang);
+        return rootKey ? doc.data[rootKey] : doc.data;
+    },
+
+    write(text, changes, context) {
+        const eol = text ? detectFormat(text).eol : '\n';
+        let doc = scan(text || '');
+        const rootKey = languageRoot(doc, context.lang);
+
+        for (const { key, value } of changes) {
+            const segments = rootKey ? [rootKey, ...key.split('.')] : key.split('.');
+            const scalar = doc.scalars.get(segments.join('.'));
+
+            if (scalar) {
+                doc.lines.splice(scalar.start, scalar.end - scalar.start + 1,
+                    ...renderScalar(scalar.indent, scalar.keyText, value, scalar, doc.unit));
+            } else {
+                // Deepest existing mapping on the path, then the missing levels below it
+                let depth = segments.length - 1;
+                while (depth > 0 && !doc.mappings.has(segments.slice(0, depth).join('.'))) depth--;
+                const blocked = valueAt(doc.data, segments.slice(0, depth + 1));
+                if (blocked !== undefined) {
+                    throw new Error(depth + 1 === segments.length ?
+                        `'${key}' is not a plain value` :
+                        `Path segment '${segments[depth]}' in '${key}' is not a mapping`);
+                }
+
+                const parent = doc.mappings.get(segments.slice(0, depth).join('.'));
+                let indent = parent.childIndent !== null ? parent.childIndent : parent.indent + (parent.indent < 0 ? 1 : doc.unit);
+                const added = [];
+                for (let d = depth; d < segments.length - 1; d++) {
+                    added.push(`${' '.repeat(indent)}${renderKey(segments[d])}:`);
+                    indent += doc.unit;
+                }
+                added.push(...renderScalar(indent, renderKey(segments[segments.length - 1]), value, null, doc.unit));
+
+                let at = parent.end + 1;
+                if (parent.start < 0) {
+                    at = doc.lines.length;
+                    while (at > 0 && doc.lines[at - 1].trim() === '') at--;
+                }
+                doc.lines.splice(at, 0, ...added);
+            }
+            doc = scan(doc.lines.join('\n'));
+        }
+
+        let out = doc.lines.join(eol);
+        if (!out.endsWith(eol)) out += eol;
+        return out;
+    },
+};
@@ -0,0 +1,241 @@
+// git.js - Git integration for edited locale files, using the local git binary
+// Reports the working-tree state of locale files, shows their pending diff and commits
+// them (optionally on a dated i18n/<date> branch). Files are grouped by repository, so
+// roots in different repositories (an app and a shared library) are handled separately.
+// Nothing is committed while a rebase, merge or cherry-pick is in progress, while one of
+// the files has unresolved conflicts, or when that would mean switching to another branch.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { realPath } = require('./confinement');
+
+const GIT_TIMEOUT_MS = 15000;
+
+// Porcelain status codes of unmerged paths
+const CONFLICT_CODES = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+
+// Operations that leave the repository in a state we must not commit into
+const IN_PROGRESS = [
+    { path: 'rebase-merge', state: 'rebase' },
+    { path: 'rebase-apply', state: 'rebase' },
+    { path: 'MERGE_HEAD', state: 'merge' },
+    { path: 'CHERRY_PICK_HEAD', state: 'cherry-pick' },
+    { path: 'REVERT_HEAD', state: 'revert' },
+];
+
+/**
+ * Run git and return its output
+ * @param {string} cwd - Working directory
+ * @param {Array<string>} args - git arguments
+ * @param {Object} [options] - { okCodes } exit codes that are not errors (default: [0])
+ * @returns {string} stdout
+ */
+function git(cwd, args, options = {}) {
+    const okCodes = options.okCodes || [0];
+    const result = spawnSync('git', args, { cwd, encoding: 'utf-8', timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+    if (result.error) {
+        if (result.error.code === 'ENOENT') {
+            throw new Error('git not found - install git or add it to the PATH of the native host');
+        }
+        throw new Error(`git ${args[0]} failed: ${result.error.message}`);
+    }
+    if (!okCodes.includes(result.status)) {
+        const detail = (result.stderr || result.stdout || '').trim().split('\n')[0];
+        throw new Error(`git ${args[0]} failed: ${detail || `exit code ${result.status}`}`);
+    }
+    return result.stdout;
+}
+
+/**
+ * Top-level directory of the repository containing a file
+ * @param {string} filePath - Any path inside the working tree (need not exist yet)
+ * @returns {string|null} Repository directory, or null outside a repository
+ */
+function repoRoot(filePath) {
+    let dir = path.dirname(path.resolve(filePath));
+    while (!fs.existsSync(dir)) dir = path.dirname(dir);
+    try {
+        return git(dir, ['rev-parse', '--show-toplevel']).trim();
+    } catch (error) {
+        console.error(`[DEBUG] Not in a git repository: ${filePath} (${error.message})`);
+        return null;
+    }
+}
+
+/**
+ * Branch and in-progress operation of a repository
+ * @param {string} repo - Repository directory
+ * @returns {Object} { branch, state } (branch null when detached; state null, "rebase", "merge", ...)
+ */
+function repoState(repo) {
+    const branch = git(repo, ['symbolic-ref', '--quiet', '--short', 'HEAD'], { okCodes: [0, 1] }).trim() || null;
+    const state = IN_PROGRESS.find(op => fs.existsSync(path.resolve(repo, git(repo, ['rev-parse', '--git-path', op.path]).trim())));
+    return { branch, state: state ? state.state : null };
+}
+
+/**
+ * Group files by repository
+ * @param {Array<string>} files - Locale files
+ * @returns {Object} { repos: Map of repository directory -> files, outside: files in no repository }
+ */
+function groupByRepo(files) {
+    const repos = new Map();
+    const outside = [];
+    for (const file of [...new Set(files.map(realPath))]) {
+        const repo = repoRoot(file);
+        if (!repo) {
+            outside.push(file);
+            continue;
+        }
+        if (!repos.has(repo)) repos.set(repo, []);
+        repos.get(repo).push(file);
+    }
+    return { repos, outside };
+}
+
+// Working-tree status of files in one repository, keyed by path relative to it
+function statusOf(repo, files) {
+    const relative = files.map(file => path.relative(repo, file));
+    const out = git(repo, ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', ...relative]);
+    const codes = new Map();
+    for (const entry of out.split('\0')) {
+        if (entry.length > 3) codes.set(entry.slice(3), entry.slice(0, 2));
+    }
+    return relative.map((file, idx) => {
+        const code = codes.get(file.split(path.sep).join('/')) || '  ';
+        return {
+            file,
+            path: files[idx],
+            tracked: code !== '??',
+            changed: code !== '  ',
+            staged: code[0] !== ' ' && code[0] !== '?',
+            conflicted: CONFLICT_CODES.includes(code),
+        };
+    });
+}
+
+/**
+ * Git status of locale files
+ * @param {Array<string>} files - Locale files
+ * @returns {Object} { repos: [{ dir, branch, state, files: [{ file, path, tracked, changed, staged, conflicted }] }],
+ *   outside: files in no repository }
+ */
+function gitStatus(files) {
+    const { repos, outside } = groupByRepo(files);
+    return {
+        repos: [...repos].map(([dir, repoFiles]) => ({ dir, ...repoState(dir), files: statusOf(dir, repoFiles) })),
+        outside,
+    };
+}
+
+/**
+ * Unified diff of the uncommitted changes to locale files (new files diff against nothing)
+ * @param {Array<string>} files - Locale files
+ * @returns {string} Diff text, paths relative to their repository
+ */
+function gitDiff(files) {
+    const { repos } = groupByRepo(files);
+    const parts = [];
+    for (const [repo, repoFiles] of repos) {
+        const status = statusOf(repo, repoFiles);
+        const tracked = status.filter(entry => entry.tracked && entry.changed).map(entry => entry.file);
+        if (tracked.length > 0) {
+            parts.push(git(repo, ['diff', '--no-color', '--no-ext-diff', 'HEAD', '--', ...tracked]));
+        }
+        for (const entry of status.filter(e => !e.tracked)) {
+            // Exit code 1 means "differences found"
+            parts.push(git(repo, ['diff', '--no-color', '--no-ext-diff', '--no-index', '--', '/dev/null', entry.file], { okCodes: [0, 1] }));
+        }
+    }
+    return parts.filter(Boolean).join('');
+}
+
+/**
+ * Commit message for a set of edits: a summary line, then one line per key
+ * @param {Array<Object>} edits - [{ key, ns, lang }]
+ * @returns {string} Message
+ */
+function commitMessage(edits) {
+    const lines = [...new Set(edits.map(edit => `- ${edit.lang ? `${edit.lang} ` : ''}${edit.ns ? `${edit.ns}:` : ''}${edit.key}`))];
+    const subject = `i18n: update ${lines.length} translation${lines.length === 1 ? '' : 's'}`;
+    return `${subject}\n\n${lines.join('\n')}\n`;
+}
+
+// i18n/2025-01-15, from the local date
+function dailyBranch(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `i18n/${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Stage and commit locale files, each repository separately
+ * Only the given files are committed; anything else already staged stays staged.
+ * A target branch that does not exist yet is created from the current one; the working
+ * tree is never switched to another existing branch (that is refused instead).
+ * @param {Array<string>} files - Locale files
+ * @param {Object} options - { edits: [{ key, ns, lang, file }] for the message,
+ *   branch: true for i18n/<date> or a branch name (default: the current branch) }
+ * @returns {Array<Object>} [{ repo, branch, commit, files }] (empty if nothing changed)
+ */
+function gitCommit(files, options = {}) {
+    const { repos, outside } = groupByRepo(files);
+    if (outside.length > 0) {
+        throw new Error(`Not in a git repository: ${outside.join(', ')}`);
+    }
+
+    const target = options.branch === true ? dailyBranch() : options.branch || null;
+
+    // Check every repository before committing in any of them
+    const plans = [];
+    for (const [repo, repoFiles] of repos) {
+        const { state, branch } = repoState(repo);
+        if (state) {
+            throw new Error(`${repo} is in the middle of a ${state} - finish or abort it first`);
+        }
+        const status = statusOf(repo, repoFiles);
+        const conflicted = status.filter(entry => entry.conflicted).map(entry => entry.file);
+        if (conflicted.length > 0) {
+            throw new Error(`Unresolved conflicts in ${conflicted.join(', ')}`);
+        }
+        const changed = status.filter(entry => entry.changed);
+        if (changed.length === 0) continue;
+
+        let create = false;
+        if (target && target !== branch) {
+            create = !git(repo, ['rev-parse', '--verify', '--quiet', `refs/heads/${target}`], { okCodes: [0, 1] }).trim();
+            if (!create) {
+                throw new Error(`${repo} is on ${branch || 'a detached HEAD'}, not ${target} - switch to ${target} first`);
+            }
+        }
+        plans.push({ repo, branch, changed, create });
+    }
+
+    return plans.map(({ repo, branch, changed, create }) => {
+        // The message lists the keys of this repository's files
+        const paths = changed.map(entry => entry.path);
+        const edits = (options.edits || []).filter(edit => !edit.file || paths.includes(realPath(edit.file)));
+        const files = changed.map(entry => entry.file);
+
+        if (create) {
+            // Uncommitted changes carry over to the new branch
+            git(repo, ['checkout', '-b', target]);
+            console.error(`[DEBUG] Created branch ${target} in ${repo}`);
+        }
+        git(repo, ['add', '--', ...files]);
+        git(repo, ['commit', '--quiet', '-m', commitMessage(edits), '--', ...files]);
+        const commit = git(repo, ['rev-parse', '--short', 'HEAD']).trim();
+        console.error(`[DEBUG] Committed ${files.length} file(s) in ${repo}: ${commit}`);
+        return { repo, branch: target || branch, commit, files };
+    });
+}
+
+module.exports = {
+    repoRoot,
+    repoState,
+    gitStatus,
+    gitDiff,
+    gitCommit,
+    commitMessage,
+    dailyBranch,
+};
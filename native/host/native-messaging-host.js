@@ -13,21 +13,38 @@
 // IMPORTANT: Never write anything except framed JSON to stdout.
 // All logs go to stderr.
 
-const { updateI18n } = require('../update-i18n');
+const { updateI18n, restoreBackup } = require('../update-i18n');
+const { resolveNamespaces, localeLayout, listLanguages, listNamespaces, findKey, resolveLocaleFile } = require('../locale-resolver');
+const { lookupValue } = require('../formats');
+const { listBackups, findBackup, diffBackup, backupValue } = require('../backups');
+const { pluralCategories, findVariantFile } = require('../variants');
+const { searchLocales } = require('../search');
+const { gitStatus, gitDiff, gitCommit } = require('../git');
+const { exportTranslations, importTranslations } = require('../exchange');
+const { loadHostConfig, checkRoot, isAllowed, realPath } = require('../confinement');
+
+// Project roots this host may read and write, from the allowlist next to its manifest
+const hostConfig = loadHostConfig();
 
 // Message framing state
 let buffer = Buffer.alloc(0);
 let expectedLen = 0;
 let hasResponded = false;
+// Set once a request with a requestId arrives (connectNative port)
+let persistent = false;
+// Persistent port: requests being handled, and the error to close with once they are answered
+let inFlight = 0;
+let closingError = null;
 
 console.error('[DEBUG] Native messaging host started');
 console.error('[DEBUG] PID:', process.pid);
 console.error('[DEBUG] ARGV:', process.argv);
+console.error('[DEBUG] Allowed roots:', hostConfig.roots, 'from', hostConfig.source);
 
 // ---- Input: read framed messages from stdin ----
 process.stdin.on('readable', () => {
     const chunk = process.stdin.read();
-    if (chunk === null) return;
+    if (chunk === null || closingError) return;
 
     console.error('[DEBUG] stdin chunk bytes:', chunk.length);
     buffer = Buffer.concat([buffer, chunk]);
@@ -57,55 +74,256 @@ process.stdin.on('readable', () => {
             console.error('[DEBUG] parsed JSON ok');
         } catch (err) {
             console.error('[DEBUG] JSON parse error:', err.message);
-            return sendMessage({
+            // Answer the request the frame came from if its id can still be read
+            const idMatch = /"requestId"\s*:\s*(\d+)/.exec(json);
+            const requestId = idMatch ? Number(idMatch[1]) : undefined;
+            if (requestId !== undefined) persistent = true;
+            const response = {
                 success: false,
                 error: `JSON parse error: ${err.message}`,
                 message: `Failed to parse message: ${err.message}`,
-            });
+            };
+            if (requestId === undefined && persistent) {
+                // Nobody can be told which request failed: answer the requests in flight, then
+                // send the error untagged and close the port, so the extension fails every
+                // request still pending now instead of waiting for their timeouts
+                console.error('[DEBUG] unidentifiable request on a persistent port, closing');
+                closingError = response;
+                closeWhenIdle();
+                return;
+            }
+            sendMessage(response, requestId);
+            continue;
         }
 
-        // Handle the message
-        handleMessage(msg);
+        // Handle the message; several requests may be in flight on a persistent port
+        dispatch(msg);
+    }
+});
 
-        // This host answers once and exits (sendNativeMessage use-case).
-        // If you want to support multiple requests per process, remove the return.
-        return;
+// Port disconnected (connectNative) or input closed: nothing more to answer
+process.stdin.on('end', () => {
+    if (persistent) {
+        console.error('[DEBUG] stdin closed, exiting');
+        process.exit(0);
     }
 });
 
+// ---- Dispatch ----
+// Messages with a requestId come over a persistent chrome.runtime.connectNative port:
+// the response echoes the id and the process stays alive for further requests.
+// Messages without one are chrome.runtime.sendNativeMessage calls: answer once and exit.
+function dispatch(msg) {
+    const requestId = msg && msg.requestId;
+    if (requestId !== undefined) {
+        persistent = true;
+    }
+
+    inFlight++;
+    Promise.resolve()
+        .then(() => handleMessage(msg))
+        .catch((err) => {
+            console.error('Native host error:', err.stack || err.message);
+            return {
+                success: false,
+                error: err.message,
+                message: `Error: ${err.message}`,
+            };
+        })
+        .then((response) => {
+            sendMessage(response, requestId);
+            inFlight--;
+            closeWhenIdle();
+        });
+}
+
+// Close a persistent port that received an unidentifiable request, once nothing is in flight
+function closeWhenIdle() {
+    if (!closingError || inFlight > 0 || process.stdout.writableEnded) return;
+    sendMessage(closingError, null);
+    process.stdout.end();
+}
+
 // ---- Message handler ----
+// Returns the response object (or a Promise of it); never writes to stdout itself
 function handleMessage(message) {
     console.error('Native host received message:', JSON.stringify(message, null, 2));
     try {
+        // Whether the settings' roots are usable (popup, after saving settings)
+        if (message.action === 'check_root') {
+            if (!message.root) {
+                throw new Error('Missing required field for root check: root');
+            }
+            
+            // The resolved path only for allowed roots: it must not probe what lies elsewhere on disk
+            const roots = localeLayout(message).roots.map(root => (isAllowed(root) ?
+                { root, path: realPath(root), allowed: true } :
+                { root, allowed: false }));
+            return { success: true, roots, allowlist: hostConfig.source, allowedRoots: hostConfig.roots };
+        }
+        
+        // Every other request must stay inside the allowed roots
+        if (message.root) {
+            localeLayout(message).roots.forEach(checkRoot);
+        }
+        
         // Check if this is a template lookup request
         if (message.action === 'get_template') {
             if (!message.root || !message.lang || !message.key) {
                 throw new Error('Missing required fields for template lookup: root, lang, key');
             }
             
-            const fs = require('fs');
-            const path = require('path');
-            
-            // Search reviewed.json first, then old.json
-            const namespaces = ['reviewed', 'old'];
-            for (const ns of namespaces) {
-                const filePath = path.join(message.root, message.lang, `${ns}.json`);
-                if (fs.existsSync(filePath)) {
-                    try {
-                        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-                        const value = getNestedValue(data, message.key);
-                        if (value !== null) {
-                            console.error(`[DEBUG] Template found in ${ns}.json: ${message.key}`);
-                            return sendMessage({ template: value });
-                        }
-                    } catch (e) {
-                        console.error(`[DEBUG] Error reading ${filePath}:`, e.message);
-                    }
+            const template = lookupTemplate(message, message.lang);
+            const response = { template };
+            
+            // Plural/context siblings (items_one, items_other, friend_male, ...) of the base key
+            const variantFile = findVariantFile(localeLayout(message), message.lang, message.key, resolveNamespaces(message.ns, message.namespaces));
+            if (variantFile) {
+                response.variants = variantFile.variants;
+                response.variantNs = variantFile.ns;
+                response.pluralCategories = pluralCategories(message.lang);
+            }
+            
+            // Missing key: offer the fallback language's value and the namespace files it could go into
+            if (template === null && !variantFile) {
+                console.error(`[DEBUG] Template not found for key: ${message.key}`);
+                response.missing = true;
+                response.namespaceFiles = listNamespaces(localeLayout(message), message.lang);
+                if (message.fallbackLang && message.fallbackLang !== message.lang) {
+                    response.fallback = {
+                        lang: message.fallbackLang,
+                        value: lookupTemplate(message, message.fallbackLang),
+                    };
+                }
+            }
+            
+            // Side-by-side editing: also return the key in other languages
+            if (message.langs || message.allLangs) {
+                const langs = message.allLangs ? listLanguages(localeLayout(message)) : message.langs;
+                const templates = {};
+                for (const lang of langs) {
+                    templates[lang] = lang === message.lang ? template : lookupTemplate(message, lang);
                 }
+                response.templates = templates;
+                response.langs = langs;
+            }
+            
+            return response;
+        }
+        
+        // Which namespace file each key resolves to (highlight overlay); null when missing
+        if (message.action === 'locate_keys') {
+            if (!message.root || !message.lang || !Array.isArray(message.keys)) {
+                throw new Error('Missing required fields for key lookup: root, lang, keys');
+            }
+            
+            const layout = localeLayout(message);
+            const locations = message.keys.map(({ key, ns }) => {
+                const namespaces = resolveNamespaces(ns, message.namespaces);
+                const found = findKey(layout, message.lang, key, namespaces) ||
+                    findVariantFile(layout, message.lang, key, namespaces);
+                return { key, ns, file: found ? found.ns : null };
+            });
+            return { success: true, locations };
+        }
+        
+        // Full-text search over keys and values of every locale file
+        if (message.action === 'search') {
+            if (!message.root || !message.query) {
+                throw new Error('Missing required fields for search: root, query');
+            }
+            
+            const result = searchLocales(localeLayout(message), message.query, { langs: message.langs, limit: message.limit });
+            return { success: true, ...result };
+        }
+        
+        // Backups of a file (ns) or of the file holding a key, newest first
+        if (message.action === 'list_backups') {
+            if (!message.root || !message.lang || (!message.ns && !message.key)) {
+                throw new Error('Missing required fields for backup listing: root, lang, ns or key');
             }
             
-            console.error(`[DEBUG] Template not found for key: ${message.key}`);
-            return sendMessage({ template: null });
+            const { ns, root, filePath, fileKey } = resolveLocaleFile(message);
+            const backups = listBackups(filePath, root, message.backup).map(entry => ({
+                name: entry.name,
+                timestamp: entry.timestamp,
+                size: entry.size,
+                // With a key, show its value in each backup
+                ...(message.key ? { value: backupValue(entry.path, fileKey, message) } : {}),
+            }));
+            return { success: true, ns, file: filePath, backups };
+        }
+        
+        // What restoring a backup would change
+        if (message.action === 'diff_backup') {
+            if (!message.root || !message.lang || !message.backupName || (!message.ns && !message.key)) {
+                throw new Error('Missing required fields for backup diff: root, lang, backupName, ns or key');
+            }
+            
+            const { ns, root, filePath, fileKey } = resolveLocaleFile(message);
+            const backup = findBackup(filePath, root, message.backup, message.backupName);
+            return { success: true, ns, changes: diffBackup(filePath, backup.path, fileKey, message) };
+        }
+        
+        if (message.action === 'restore_backup') {
+            if (!message.root || !message.lang || !message.backupName || (!message.ns && !message.key)) {
+                throw new Error('Missing required fields for restore: root, lang, backupName, ns or key');
+            }
+            
+            const result = restoreBackup(message);
+            return { success: !!result.success, message: result.message };
+        }
+        
+        // Git state, pending diff and commit of the files a session's edits went to
+        if (message.action === 'git_status' || message.action === 'git_diff' || message.action === 'git_commit') {
+            if (!message.root || !message.lang || !Array.isArray(message.edits)) {
+                throw new Error('Missing required fields for git: root, lang, edits');
+            }
+            
+            const { edits, missing } = resolveEdits(message);
+            const files = edits.map(edit => edit.file);
+            if (files.length === 0) {
+                throw new Error('No edited locale files found');
+            }
+            
+            if (message.action === 'git_status') {
+                return { success: true, ...gitStatus(files), missing };
+            }
+            if (message.action === 'git_diff') {
+                return { success: true, diff: gitDiff(files), missing };
+            }
+            
+            const commits = gitCommit(files, { edits, branch: !!message.branch });
+            return {
+                success: true,
+                commits,
+                message: commits.length === 0 ? 'Nothing to commit' :
+                    commits.map(c => `Committed ${c.files.length} file(s) to ${c.branch || 'HEAD'} (${c.commit})`).join('; '),
+            };
+        }
+        
+        // Translator exchange: XLIFF/CSV of a page's or session's keys, and applying the result
+        if (message.action === 'export_translations') {
+            if (!message.root || !message.lang || !message.sourceLang || !Array.isArray(message.keys)) {
+                throw new Error('Missing required fields for export: root, lang, sourceLang, keys');
+            }
+            
+            const result = exportTranslations(message, message.keys, {
+                format: message.exchangeFormat,
+                sourceLang: message.sourceLang,
+                targetLang: message.lang,
+                context: message.context,
+            });
+            return { success: true, ...result };
+        }
+        
+        if (message.action === 'import_translations') {
+            if (!message.root || !message.lang || typeof message.content !== 'string') {
+                throw new Error('Missing required fields for import: root, lang, content');
+            }
+            
+            const { content, exchangeFormat, ...config } = message;
+            return importTranslations(config, content, { format: exchangeFormat });
         }
         
         // Regular update request
@@ -118,37 +336,52 @@ function handleMessage(message) {
         console.error('Native host result:', JSON.stringify(result, null, 2));
 
         // Keep response minimal to avoid large payloads
-        sendMessage({
+        return {
             success: !!result.success,
             message: result.message || 'OK',
-        });
+            errors: result.errors,
+            conflicts: result.conflicts,
+            warnings: result.warnings,
+        };
     } catch (err) {
         console.error('Native host error:', err.stack || err.message);
-        sendMessage({
+        return {
             success: false,
             error: err.message,
             message: `Error: ${err.message}`,
-        });
+        };
     }
 }
 
-// Helper to get nested value from object
-function getNestedValue(obj, path) {
-    const segments = path.split('.');
-    let current = obj;
-    for (const segment of segments) {
-        if (current && typeof current === 'object' && segment in current) {
-            current = current[segment];
-        } else {
-            return null;
+// Look up the raw template for the message's key in one language
+// Uses the same namespace resolution as updateI18n: tagged ns first, then the fallback chain
+function lookupTemplate(message, lang) {
+    const found = findKey(localeLayout(message), lang, message.key, resolveNamespaces(message.ns, message.namespaces));
+    return found ? lookupValue(found, found.fileKey) : null;
+}
+
+// Locale file of each edit ({ key, ns, lang }), resolved like an update of the key
+// Keys no longer found (e.g. renamed since) are reported as missing
+function resolveEdits(message) {
+    const edits = [];
+    const missing = [];
+    for (const edit of message.edits) {
+        const lang = edit.lang || message.lang;
+        try {
+            const { filePath } = resolveLocaleFile({ ...message, lang, ns: edit.ns, key: edit.key });
+            edits.push({ key: edit.key, ns: edit.ns, lang, file: filePath });
+        } catch (error) {
+            console.error(`[DEBUG] Edited key not resolved: ${edit.key} (${error.message})`);
+            missing.push(edit.key);
         }
     }
-    return current;
+    return { edits, missing };
 }
 
-// ---- Output: send framed JSON and exit only after flush ----
-function sendMessage(response) {
-    if (hasResponded) {
+// ---- Output: send framed JSON ----
+// One-shot mode: exit only after flush. Persistent mode: tag with requestId and keep going.
+function sendMessage(response, requestId) {
+    if ((requestId === undefined && hasResponded) || process.stdout.writableEnded) {
         console.error('[DEBUG] sendMessage ignored: already sent');
         return;
     }
@@ -156,7 +389,7 @@ function sendMessage(response) {
     // Serialize first; if this throws, we can still send an error later
     let jsonStr;
     try {
-        jsonStr = JSON.stringify(response);
+        jsonStr = JSON.stringify(requestId === undefined ? response : { ...response, requestId });
     } catch (err) {
         console.error('[DEBUG] JSON.stringify error:', err.message);
         // Attempt to send a minimal error
@@ -164,18 +397,25 @@ function sendMessage(response) {
             success: false,
             error: `JSON serialization error: ${err.message}`,
             message: 'Failed to serialize response',
+            requestId,
         });
     }
 
-    hasResponded = true;
-
     const byteLen = Buffer.byteLength(jsonStr, 'utf8');
     const out = Buffer.alloc(4 + byteLen);
     out.writeUInt32LE(byteLen, 0);
     out.write(jsonStr, 4, 'utf8');
 
-    console.error('[DEBUG] sending response bytes:', byteLen);
+    console.error('[DEBUG] sending response bytes:', byteLen, requestId === undefined ? '' : `(request ${requestId})`);
 
+    if (requestId !== undefined) {
+        process.stdout.write(out, (err) => {
+            if (err) console.error('[DEBUG] stdout write error:', err);
+        });
+        return;
+    }
+
+    hasResponded = true;
     process.stdout.write(out, (err) => {
         if (err) console.error('[DEBUG] stdout write error:', err);
         // Close writable side; Chrome reads until EOF
@@ -199,9 +439,11 @@ process.on('SIGTERM', () => {
     process.exit(0);
 });
 
-// Error guards — let sendMessage own the shutdown
+// Error guards — in one-shot mode let sendMessage own the shutdown;
+// on a persistent port the failing request cannot be identified, so just log and keep serving
 process.on('uncaughtException', (error) => {
     console.error('Native host uncaught exception:', error);
+    if (persistent) return;
     sendMessage({
         success: false,
         error: `Uncaught exception: ${error.message}`,
@@ -210,6 +452,7 @@ process.on('uncaughtException', (error) => {
 });
 process.on('unhandledRejection', (reason) => {
     console.error('Native host unhandled rejection:', reason);
+    if (persistent) return;
     sendMessage({
         success: false,
         error: `Unhandled rejection: ${reason}`,
@@ -0,0 +1,404 @@
+// json-format.js - Detect and preserve the formatting of locale JSON files
+// so that a single edit produces a single-line diff: edited values are replaced in the
+// original text, everything else (key order, escapes, inline arrays) stays byte for byte
+
+/**
+ * Detect the formatting conventions of a JSON document
+ * @param {string} text - Raw file contents
+ * @returns {Object} { indent, eol, trailingNewline, escapeUnicode, escapeUpperCase, escapeSlash,
+ *   sortKeys, spacing } - indent is a number of spaces, '\t', or 0 for single-line files;
+ *   spacing says where single-line files put a space: { colon, comma, brace }
+ */
+function detectFormat(text) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+
+    // Use the first indented line; nested lines are multiples of it
+    let indent = 0;
+    const match = /\n([ \t]+)\S/.exec(text);
+    if (match) {
+        indent = match[1].startsWith('\t') ? '\t' : match[1].length;
+    }
+
+    // Escaped non-ASCII (e.g. "\u00e4") without any raw non-ASCII characters
+    const escapes = (text.match(/\\u[0-9a-fA-F]{4}/g) || [])
+        .filter(escape => parseInt(escape.slice(2), 16) >= 0x80);
+    const hasEscapedUnicode = escapes.length > 0;
+    const hasRawUnicode = /[^\x00-\x7f]/.test(text);
+
+    return {
+        indent,
+        eol,
+        trailingNewline: /\r?\n$/.test(text),
+        escapeUnicode: hasEscapedUnicode && !hasRawUnicode,
+        escapeUpperCase: escapes.some(escape => /[A-F]/.test(escape)),
+        escapeSlash: hasEscapedSlash(text),
+        sortKeys: false,
+        spacing: indent ? NO_SPACING : detectSpacing(text),
+    };
+}
+
+// Is "/" written as "\/" somewhere? (a "\\" before a "/" is an escaped backslash)
+function hasEscapedSlash(text) {
+    return (text.match(/\\./g) || []).includes('\\/');
+}
+
+const NO_SPACING = { colon: false, comma: false, brace: false };
+
+// Call fn(ch, index) for every structural character, i.e. outside strings
+function forEachStructural(text, fn) {
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') {
+                i++;
+            } else if (ch === '"') {
+                inString = false;
+            }
+        } else if (ch === '"') {
+            inString = true;
+        } else {
+            fn(ch, i);
+        }
+    }
+}
+
+// Single-line files: is the first ':' / ',' / non-empty '{' followed by a space?
+function detectSpacing(text) {
+    const spacing = {};
+    const names = { ':': 'colon', ',': 'comma', '{': 'brace' };
+    forEachStructural(text, (ch, i) => {
+        const name = names[ch];
+        if (!name || name in spacing || (ch === '{' && /^\s*\}/.test(text.slice(i + 1)))) return;
+        spacing[name] = text[i + 1] === ' ';
+    });
+    return { ...NO_SPACING, ...spacing };
+}
+
+// Add the detected spaces to compact JSON.stringify output
+function applySpacing(out, spacing) {
+    let result = '';
+    let last = 0;
+    forEachStructural(out, (ch, i) => {
+        let at = -1;
+        if ((ch === ':' && spacing.colon) || (ch === ',' && spacing.comma) ||
+            (ch === '{' && spacing.brace && out[i + 1] !== '}')) {
+            at = i + 1;
+        } else if (ch === '}' && spacing.brace && out[i - 1] !== '{') {
+            at = i;
+        }
+        if (at >= 0) {
+            result += `${out.slice(last, at)} `;
+            last = at;
+        }
+    });
+    return result + out.slice(last);
+}
+
+/**
+ * Resolve the format to write with: detected conventions, overridden per project
+ * @param {string|null} text - Raw file contents (null for a new file)
+ * @param {Object} [overrides] - Project overrides, e.g. { indent: 2, sortKeys: true }
+ * @returns {Object} Effective format (see detectFormat)
+ */
+function resolveFormat(text, overrides) {
+    const base = text ? detectFormat(text) : {
+        indent: 4,
+        eol: '\n',
+        trailingNewline: true,
+        escapeUnicode: false,
+        escapeUpperCase: false,
+        escapeSlash: false,
+        sortKeys: false,
+        spacing: NO_SPACING,
+    };
+    const result = { ...base };
+
+    for (const [name, value] of Object.entries(overrides || {})) {
+        if (value === undefined || value === null || value === 'auto') continue;
+        if (name === 'indent') {
+            result.indent = value === 'tab' || value === '\t' ? '\t' : Number(value);
+        } else if (name === 'eol') {
+            result.eol = value === 'crlf' || value === '\r\n' ? '\r\n' : '\n';
+        } else if (name in result && name !== 'spacing') {
+            result[name] = !!value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Serialize data using a format from resolveFormat
+ * Key order follows the object's insertion order (i.e. the order in the file),
+ * unless sortKeys is set
+ * @param {Object} data - JSON data
+ * @param {Object} format - Format (see detectFormat)
+ * @returns {string} Serialized JSON
+ */
+function stringify(data, format) {
+    const value = format.sortKeys ? sortKeysDeep(data) : data;
+    let out = JSON.stringify(value, null, format.indent || 0);
+    if (!format.indent && format.spacing) {
+        out = applySpacing(out, format.spacing);
+    }
+    return finish(escapeText(out, format), format);
+}
+
+// Apply a format's escapes to JSON.stringify output (which escapes neither non-ASCII nor "/")
+function escapeText(out, format) {
+    if (format.escapeUnicode) {
+        out = out.replace(/[\u0080-\uffff]/g, (ch) => {
+            const hex = ch.charCodeAt(0).toString(16).padStart(4, '0');
+            return `\\u${format.escapeUpperCase ? hex.toUpperCase() : hex}`;
+        });
+    }
+    if (format.escapeSlash) {
+        out = out.replace(/\//g, '\\/');
+    }
+    return out;
+}
+
+// Line endings and trailing newline of a serialized document
+function finish(out, format) {
+    if (format.eol !== '\n') {
+        out = out.replace(/\n/g, format.eol);
+    }
+    if (format.trailingNewline) {
+        out += format.eol;
+    }
+    return out;
+}
+
+// Settings that, when a project override changes them, make applyChanges re-serialize the file
+const LAYOUT = ['indent', 'eol', 'trailingNewline', 'escapeUnicode', 'escapeUpperCase', 'escapeSlash', 'sortKeys'];
+
+/**
+ * Apply value changes to the text of a JSON document, replacing only the edited values
+ * Keys missing from the file are added after the last member of the deepest object on their
+ * path that exists. A project override that differs from the file's own format (another
+ * indent, sortKeys, ...) re-serializes the document, still in the file's key order and
+ * with each string escaped as it is written unless the override changes the escaping
+ * @param {string} text - Raw file contents (a JSON object)
+ * @param {Array<Object>} changes - [{ path: ['a', 'b'], value }]
+ * @param {Object} [overrides] - Project overrides (see resolveFormat)
+ * @returns {string} New file contents
+ */
+function applyChanges(text, changes, overrides) {
+    JSON.parse(text);
+    const detected = detectFormat(text);
+    let out = text;
+    for (const { path, value } of changes) {
+        out = applyChange(out, path, value, detected);
+    }
+
+    const format = resolveFormat(text, overrides);
+    if (LAYOUT.every(name => format[name] === detected[name])) {
+        return out;
+    }
+    const escapingChanged = ['escapeUnicode', 'escapeUpperCase', 'escapeSlash'].some(name => format[name] !== detected[name]);
+    return reformat(out, format, escapingChanged);
+}
+
+// Set one value in the text: replace it if the key exists, else insert it
+function applyChange(text, path, value, format) {
+    let node = locate(text);
+    for (let depth = 0; depth < path.length; depth++) {
+        if (node.type !== 'object') {
+            throw new Error(depth === 0 ? 'The file is not a JSON object' :
+                `Path segment '${path[depth - 1]}' in '${path.join('.')}' is not an object`);
+        }
+        // The last of duplicate keys is the one JSON.parse keeps
+        const member = node.members.filter(m => m.key === path[depth]).pop();
+        if (!member) {
+            return insertMember(text, node, path.slice(depth), value, format);
+        }
+        if (depth === path.length - 1) {
+            const current = member.node.type === 'string' ? text.slice(member.node.start, member.node.end) : null;
+            const encoded = escapeText(JSON.stringify(value), stringFormat(current, format));
+            return text.slice(0, member.node.start) + encoded + text.slice(member.node.end);
+        }
+        node = member.node;
+    }
+    return text;
+}
+
+// Escaping for a replaced string: as in its current text where that shows it, else the file's
+function stringFormat(current, format) {
+    if (!current) return format;
+    const escapes = (current.match(/\\u[0-9a-fA-F]{4}/g) || [])
+        .filter(escape => parseInt(escape.slice(2), 16) >= 0x80);
+    const hasRawUnicode = /[^\x00-\x7f]/.test(current);
+    return {
+        ...format,
+        escapeUnicode: escapes.length > 0 || hasRawUnicode ? escapes.length > 0 && !hasRawUnicode : format.escapeUnicode,
+        escapeUpperCase: escapes.length > 0 ? escapes.some(escape => /[A-F]/.test(escape)) : format.escapeUpperCase,
+        escapeSlash: current.includes('/') ? hasEscapedSlash(current) : format.escapeSlash,
+    };
+}
+
+// Add path[0] to an object, holding value nested under the rest of the path
+// Multi-line objects get the member on a line of its own, indented like its siblings
+function insertMember(text, obj, path, value, format) {
+    let data = value;
+    for (const segment of path.slice(1).reverse()) {
+        data = { [segment]: data };
+    }
+
+    const { members } = obj;
+    const last = members[members.length - 1];
+    const multiline = members.length > 0 ? members[0].before.includes('\n') : !!format.indent;
+    const unit = format.indent === '\t' ? '\t' : ' '.repeat(format.indent || 0);
+    const outer = lineIndent(text, obj.start);
+    const inner = members.length > 0 ? lineIndent(text, members[0].keyStart) : outer + unit;
+
+    let valueText = JSON.stringify(data, null, multiline ? unit : 0);
+    valueText = multiline ?
+        valueText.replace(/\n/g, `${format.eol}${inner}`) :
+        applySpacing(valueText, format.spacing);
+    const sep = last ? last.sep : (multiline || format.spacing.colon ? ': ' : ':');
+    const member = escapeText(`${JSON.stringify(path[0])}${sep}${valueText}`, format);
+
+    if (!last) {
+        const brace = format.spacing.brace ? ' ' : '';
+        const body = multiline ?
+            `{${format.eol}${inner}${member}${format.eol}${outer}}` :
+            `{${brace}${member}${brace}}`;
+        return text.slice(0, obj.start) + body + text.slice(obj.end);
+    }
+    const gap = members.length > 1 ? last.before :
+        `,${multiline ? members[0].before : (format.spacing.comma ? ' ' : '')}`;
+    return text.slice(0, last.node.end) + gap + member + text.slice(last.node.end);
+}
+
+// Leading whitespace of the line holding position pos
+function lineIndent(text, pos) {
+    return /^[ \t]*/.exec(text.slice(text.lastIndexOf('\n', pos - 1) + 1))[0];
+}
+
+/**
+ * Locate the values of a well-formed JSON document
+ * @param {string} text - JSON text
+ * @returns {Object} Root node { type, start, end } (end exclusive); objects have
+ *   members: [{ key, keyStart, keyEnd, before, sep, node }] (before: the text since the previous
+ *   member or the brace, sep: between key and value), arrays have items: [node]
+ */
+function locate(text) {
+    let i = 0;
+    const space = () => {
+        while (/\s/.test(text[i] || '')) i++;
+    };
+    const string = () => {
+        const start = i++;
+        while (text[i] !== '"') {
+            i += text[i] === '\\' ? 2 : 1;
+        }
+        i++;
+        return text.slice(start, i);
+    };
+    const value = () => {
+        space();
+        const start = i;
+        if (text[i] === '{') {
+            i++;
+            const members = [];
+            let prev = i;
+            space();
+            while (text[i] !== '}') {
+                if (text[i] === ',') {
+                    i++;
+                    space();
+                }
+                const keyStart = i;
+                const key = JSON.parse(string());
+                const keyEnd = i;
+                space();
+                i++;
+                const node = value();
+                members.push({ key, keyStart, keyEnd, before: text.slice(prev, keyStart), sep: text.slice(keyEnd, node.start), node });
+                prev = i;
+                space();
+            }
+            i++;
+            return { type: 'object', start, end: i, members };
+        }
+        if (text[i] === '[') {
+            i++;
+            const items = [];
+            space();
+            while (text[i] !== ']') {
+                if (text[i] === ',') i++;
+                items.push(value());
+                space();
+            }
+            i++;
+            return { type: 'array', start, end: i, items };
+        }
+        if (text[i] === '"') {
+            string();
+            return { type: 'string', start, end: i };
+        }
+        while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+        return { type: 'scalar', start, end: i };
+    };
+    return value();
+}
+
+// Re-serialize a document in another format, keeping its key order, its one-line arrays
+// and (unless the escaping changes) each key and string as written
+function reformat(text, format, escapingChanged) {
+    const unit = format.indent === '\t' ? '\t' : ' '.repeat(format.indent || 0);
+    const spacing = format.spacing || NO_SPACING;
+    const raw = node => {
+        const source = text.slice(node.start, node.end);
+        return escapingChanged ? escapeText(JSON.stringify(JSON.parse(source)), format) : source;
+    };
+    const keyText = member => escapingChanged ?
+        escapeText(JSON.stringify(member.key), format) :
+        text.slice(member.keyStart, member.keyEnd);
+    const list = (open, close, parts, depth, brace) => {
+        if (parts.length === 0) return open + close;
+        if (format.indent) {
+            const pad = unit.repeat(depth + 1);
+            return `${open}\n${pad}${parts.join(`,\n${pad}`)}\n${unit.repeat(depth)}${close}`;
+        }
+        const space = brace && spacing.brace ? ' ' : '';
+        return `${open}${space}${parts.join(spacing.comma ? ', ' : ',')}${space}${close}`;
+    };
+    const emit = (node, depth) => {
+        if (node.type === 'object') {
+            const members = format.sortKeys ?
+                node.members.slice().sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)) :
+                node.members;
+            const colon = format.indent || spacing.colon ? ': ' : ':';
+            return list('{', '}', members.map(m => `${keyText(m)}${colon}${emit(m.node, depth + 1)}`), depth, true);
+        }
+        if (node.type === 'array') {
+            const items = node.items.map(item => emit(item, depth + 1));
+            // Arrays written on one line stay on one line
+            if (items.length > 0 && !text.slice(node.start, node.end).includes('\n')) {
+                const sep = items.length > 1 ? text.slice(node.items[0].end, node.items[1].start) : '';
+                return `[${items.join(sep)}]`;
+            }
+            return list('[', ']', items, depth, false);
+        }
+        return node.type === 'string' ? raw(node) : text.slice(node.start, node.end);
+    };
+    return finish(emit(locate(text), 0), format);
+}
+
+// Recursively sort object keys (arrays keep their order)
+function sortKeysDeep(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeysDeep);
+    }
+    if (value && typeof value === 'object') {
+        const sorted = {};
+        for (const key of Object.keys(value).sort()) {
+            sorted[key] = sortKeysDeep(value[key]);
+        }
+        return sorted;
+    }
+    return value;
+}
+
+module.exports = { detectFormat, resolveFormat, stringify, applyChanges };
@@ -0,0 +1,362 @@
+// locale-resolver.js - Shared namespace resolution for updates and template lookups
+// Locale files follow a path template, by default the i18next layout {root}/{lang}/{ns}.{ext},
+// under one or more roots. The extension picks the file format (see formats/index.js;
+// JSON unless the profile sets fileFormat).
+
+const fs = require('fs');
+const path = require('path');
+const { localeExtensions, readLocaleFile, hasKey } = require('./formats');
+const { isAllowed, isSafeLang, isSafeNamespace, checkLang, checkNamespace } = require('./confinement');
+
+// Fallback chain used when the extension does not configure one
+const DEFAULT_FALLBACK_NAMESPACES = ['reviewed', 'old'];
+
+// Where files live unless the profile sets pathTemplate ({ext}: any supported extension)
+const DEFAULT_PATH_TEMPLATE = '{root}/{lang}/{ns}.{ext}';
+
+/**
+ * Build the ordered list of namespaces to search for a key
+ * The tagged namespace comes first, followed by the fallback chain (deduplicated)
+ * @param {string} [ns] - Namespace from the payload (data-i18n-text-ns)
+ * @param {Array|string} [fallback] - Fallback chain, array or comma-separated (default: reviewed, old)
+ * @returns {Array<string>} Namespaces in search order
+ */
+function resolveNamespaces(ns, fallback) {
+    let chain = fallback === undefined || fallback === null ? DEFAULT_FALLBACK_NAMESPACES : fallback;
+    if (typeof chain === 'string') {
+        chain = chain.split(',');
+    }
+
+    const result = [];
+    for (const name of [ns, ...chain]) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed && !result.includes(trimmed)) {
+            result.push(trimmed);
+        }
+    }
+    return result;
+}
+
+/**
+ * Where the locale files of a project live
+ * Accepts a request config, a root directory, a list of roots or an existing layout
+ * @param {Object|string|Array<string>} config - { root, pathTemplate, fileFormat } or root(s)
+ *   root may be a list of directories, searched in order (new files go to the first)
+ * @returns {Object} { roots, template, fileFormat }
+ */
+function localeLayout(config) {
+    if (config && config.roots) {
+        return config;
+    }
+    const { root, pathTemplate, fileFormat } = typeof config === 'object' && !Array.isArray(config) ? config : { root: config };
+    const roots = (Array.isArray(root) ? root : [root])
+        .map(dir => (typeof dir === 'string' ? dir.trim() : ''))
+        .filter(Boolean);
+    if (roots.length === 0) {
+        throw new Error('Missing locale root directory');
+    }
+
+    const template = (pathTemplate || DEFAULT_PATH_TEMPLATE).trim().replace(/^\{root\}[\\/]?/, '');
+    if (!template.includes('{lang}')) {
+        throw new Error(`Path template must contain {lang}: ${pathTemplate}`);
+    }
+    if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+        throw new Error(`Path template must stay inside the root: ${pathTemplate}`);
+    }
+    return { roots, template, fileFormat };
+}
+
+/**
+ * Key of a translation inside its file: the key itself, or "{ns}.{key}" when the
+ * path template has no {ns} and namespaces are top-level keys of one file per language
+ * @param {Object} layout - See localeLayout
+ * @param {string} ns - Namespace
+ * @param {string} key - Dot-separated key
+ * @returns {string} Key to look up in the file
+ */
+function keyInFile(layout, ns, key) {
+    return layout.template.includes('{ns}') ? key : `${ns}.${key}`;
+}
+
+/**
+ * Path of the locale file for a language and namespace
+ * The first existing file in root order (trying the format's extensions for {ext}); for a
+ * file that does not exist yet, the path in the first root with the format's first extension
+ * (.json by default)
+ * @param {Object|string} layout - See localeLayout (a root directory works too)
+ * @param {string} lang - Language code
+ * @param {string} ns - Namespace
+ * @returns {string} Absolute or root-relative file path
+ */
+function namespaceFilePath(layout, lang, ns) {
+    layout = localeLayout(layout);
+    const existing = namespaceFiles(layout, lang, ns);
+    return existing.length > 0 ? existing[0].filePath :
+        expandTemplate(layout, layout.roots[0], lang, ns, localeExtensions(layout.fileFormat)[0]);
+}
+
+/**
+ * Existing locale files for a language and namespace, one per root at most, in root order
+ * @param {Object|string} layout - See localeLayout
+ * @param {string} lang - Language code
+ * @param {string} ns - Namespace
+ * @returns {Array<Object>} [{ root, filePath }]
+ */
+function namespaceFiles(layout, lang, ns) {
+    layout = localeLayout(layout);
+    const extensions = layout.template.includes('{ext}') ? localeExtensions(layout.fileFormat) : [''];
+    const files = [];
+    for (const root of layout.roots) {
+        const filePath = extensions.map(ext => expandTemplate(layout, root, lang, ns, ext)).find(candidate => fs.existsSync(candidate));
+        if (filePath) {
+            files.push({ root, filePath });
+        }
+    }
+    return files;
+}
+
+// lang and ns become path segments: refuse anything that could leave the root
+function expandTemplate(layout, root, lang, ns, ext) {
+    checkLang(lang);
+    if (layout.template.includes('{ns}')) checkNamespace(ns);
+    const relative = layout.template
+        .replace(/\{lang\}/g, lang)
+        .replace(/\{ns\}/g, ns)
+        .replace(/\.?\{ext\}/g, ext);
+    return path.join(root, relative);
+}
+
+/**
+ * Root directory a locale file belongs to (for backup directories relative to it)
+ * @param {Object|string} layout - See localeLayout
+ * @param {string} filePath - Locale file
+ * @returns {string} The first root containing the file (the first root if none does)
+ */
+function rootOf(layout, filePath) {
+    const { roots } = localeLayout(layout);
+    return roots.find((root) => {
+        const relative = path.relative(path.resolve(root), path.resolve(filePath));
+        return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }) || roots[0];
+}
+
+/**
+ * Every existing locale file matching the path template, in root order
+ * @param {Object|string} layout - See localeLayout
+ * @returns {Array<Object>} [{ root, lang, ns, filePath }] (ns is null without {ns} in the template)
+ */
+function listLocaleFiles(layout) {
+    layout = localeLayout(layout);
+    const extensions = localeExtensions(layout.fileFormat).map(ext => escapeRegExp(ext.slice(1)));
+    const segments = layout.template.split(/[\\/]/).map(segment => templateSegment(segment, extensions));
+    const files = [];
+
+    const walk = (root, dir, depth, values) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            if (depth === 0) console.error(`[DEBUG] Error listing ${dir}: ${error.message}`);
+            return;
+        }
+        const last = depth === segments.length - 1;
+        for (const entry of entries) {
+            if (entry.name.startsWith('.') || entry.name.includes('.backup-')) continue;
+            if (last ? !entry.isFile() : !entry.isDirectory()) continue;
+
+            const m = segments[depth].regex.exec(entry.name);
+            if (!m) continue;
+            const next = { ...values };
+            const consistent = segments[depth].tokens.every((token, idx) => {
+                if (next[token] !== undefined && next[token] !== m[idx + 1]) return false;
+                next[token] = m[idx + 1];
+                return true;
+            });
+            if (!consistent) continue;
+            // Stray directories and files ("old copy", "notes v2.json") are not languages or namespaces
+            if ((next.lang !== undefined && !isSafeLang(next.lang)) ||
+                (next.ns !== undefined && !isSafeNamespace(next.ns))) continue;
+
+            const fullPath = path.join(dir, entry.name);
+            // Symlinks out of the allowed roots are not followed
+            if (!isAllowed(fullPath)) continue;
+            if (last) {
+                files.push({ root, lang: next.lang, ns: next.ns !== undefined ? next.ns : null, filePath: fullPath });
+            } else {
+                walk(root, fullPath, depth + 1, next);
+            }
+        }
+    };
+
+    for (const root of layout.roots) {
+        walk(root, root, 0, {});
+    }
+    return files;
+}
+
+// One path segment of a template as a regex capturing its {lang}/{ns}/{ext} tokens in order
+function templateSegment(segment, extensions) {
+    const tokens = [];
+    const source = segment.split(/(\{(?:lang|ns|ext)\})/).map((part) => {
+        const token = /^\{(lang|ns|ext)\}$/.exec(part);
+        if (!token) return escapeRegExp(part);
+        tokens.push(token[1]);
+        return token[1] === 'ext' ? `(${extensions.join('|')})` : '(.+?)';
+    }).join('');
+    return { regex: new RegExp(`^${source}$`, 'i'), tokens };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * List the languages that have locale files (e.g. de, en, fr)
+ * @param {Object|string} layout - See localeLayout
+ * @returns {Array<string>} Language codes, sorted
+ */
+function listLanguages(layout) {
+    return [...new Set(listLocaleFiles(layout).map(file => file.lang))].sort();
+}
+
+/**
+ * List the namespaces available for a language (backups excluded)
+ * Without {ns} in the path template, these are the top-level keys of the language's files
+ * @param {Object|string} layout - See localeLayout
+ * @param {string} lang - Language code
+ * @returns {Array<string>} Namespace names, sorted
+ */
+function listNamespaces(layout, lang) {
+    layout = localeLayout(layout);
+    const names = [];
+    for (const file of listLocaleFiles(layout).filter(candidate => candidate.lang === lang)) {
+        if (file.ns !== null) {
+            names.push(file.ns);
+            continue;
+        }
+        try {
+            const doc = readLocaleFile(file.filePath, { lang, fileFormat: layout.fileFormat });
+            names.push(...Object.keys(doc.data).map(key => (doc.adapter.nested ? key : key.split('.')[0])));
+        } catch (error) {
+            console.error(`[DEBUG] Error reading ${file.filePath}: ${error.message}`);
+        }
+    }
+    return [...new Set(names)].sort();
+}
+
+/**
+ * Find the first namespace file containing a key
+ * Namespaces are searched in order; for each, the roots in order
+ * @param {Object|string} layout - See localeLayout
+ * @param {string} lang - Language code
+ * @param {string} key - Dot-separated key (e.g., "a.b.c")
+ * @param {Array<string>} namespaces - Namespaces in search order (see resolveNamespaces)
+ * @returns {Object|null} { ns, root, filePath, fileKey, data, text, adapter } or null if the key is not found
+ *   fileKey is the key inside the file (see keyInFile); text is the raw file contents, used to
+ *   preserve formatting on write; data is what the file's format adapter parsed
+ *   (look values up with formats.lookupValue)
+ */
+function findKey(layout, lang, key, namespaces) {
+    layout = localeLayout(layout);
+    for (const ns of namespaces) {
+        const fileKey = keyInFile(layout, ns, key);
+        const files = namespaceFiles(layout, lang, ns);
+        if (files.length === 0) {
+            console.error(`[DEBUG] File not found: ${lang}/${ns} (roots: ${layout.roots.join(', ')})`);
+        }
+        for (const candidate of files) {
+            try {
+                const doc = readLocaleFile(candidate.filePath, { lang, fileFormat: layout.fileFormat });
+                if (hasKey(doc, fileKey)) {
+                    console.error(`[DEBUG] Key ${key} found in ${candidate.filePath}`);
+                    return { ns, root: candidate.root, fileKey, ...doc };
+                }
+            } catch (error) {
+                console.error(`[DEBUG] Error reading ${candidate.filePath}: ${error.message}`);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the locale file a request refers to
+ * With a key, the file is the first namespace containing it (see findKey);
+ * without one, it is the file of the given namespace
+ * @param {Object} config - { root, pathTemplate, fileFormat, lang, ns, key, namespaces }
+ * @returns {Object} { ns, root, filePath, fileKey } (fileKey is null without a key)
+ */
+function resolveLocaleFile(config) {
+    const { lang, ns, key, namespaces } = config;
+    const layout = localeLayout(config);
+    if (key) {
+        const namespacePriority = resolveNamespaces(ns, namespaces);
+        const found = findKey(layout, lang, key, namespacePriority);
+        if (!found) {
+            throw new Error(`Key not found in any namespace: ${key} (searched: ${namespacePriority.join(', ')})`);
+        }
+        return { ns: found.ns, root: found.root, filePath: found.filePath, fileKey: found.fileKey };
+    }
+    if (!ns) {
+        throw new Error('Missing namespace or key');
+    }
+    const filePath = namespaceFilePath(layout, lang, ns);
+    return { ns, root: rootOf(layout, filePath), filePath, fileKey: null };
+}
+
+/**
+ * Check if a key exists in JSON data (supports dot notation)
+ * @param {Object} jsonData - JSON object to search
+ * @param {string} keyPath - Dot-separated path (e.g., "a.b.c")
+ * @returns {boolean} True if key exists
+ */
+function keyExists(jsonData, keyPath) {
+    const segments = keyPath.split('.');
+    let cursor = jsonData;
+
+    for (let i = 0; i < segments.length; i++) {
+        if (!cursor || typeof cursor !== 'object' || !Object.prototype.hasOwnProperty.call(cursor, segments[i])) {
+            return false;
+        }
+        cursor = cursor[segments[i]];
+    }
+
+    return true;
+}
+
+/**
+ * Get a nested value from JSON data (supports dot notation)
+ * @param {Object} jsonData - JSON object to search
+ * @param {string} keyPath - Dot-separated path (e.g., "a.b.c")
+ * @returns {*} The value, or null if the key does not exist
+ */
+function getNestedValue(jsonData, keyPath) {
+    const segments = keyPath.split('.');
+    let current = jsonData;
+    for (const segment of segments) {
+        if (current && typeof current === 'object' && segment in current) {
+            current = current[segment];
+        } else {
+            return null;
+        }
+    }
+    return current;
+}
+
+module.exports = {
+    DEFAULT_FALLBACK_NAMESPACES,
+    DEFAULT_PATH_TEMPLATE,
+    resolveNamespaces,
+    localeLayout,
+    keyInFile,
+    namespaceFilePath,
+    namespaceFiles,
+    rootOf,
+    listLocaleFiles,
+    listLanguages,
+    listNamespaces,
+    findKey,
+    resolveLocaleFile,
+    keyExists,
+    getNestedValue,
+};
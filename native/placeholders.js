@@ -0,0 +1,68 @@
+// placeholders.js - i18next interpolation placeholder and nesting checks
+// Keep in sync with extractPlaceholders() in src/content/content-script.js
+
+// {{name}}, {{ name }}, {{- name}} (unescaped), {{value, format}}
+const INTERPOLATION_RE = /\{\{\s*-?\s*([^,}\s]+)[^}]*\}\}/g;
+// $t(key), $t(key, { "count": 2 })
+const NESTING_RE = /\$t\(\s*([^,)\s]+)[^)]*\)/g;
+
+/**
+ * Extract normalized placeholders from a translation value
+ * @param {string} value - Translation value
+ * @returns {Array<string>} Sorted tokens, e.g. ["$t(common.app)", "{{count}}"] (duplicates kept)
+ */
+function extractPlaceholders(value) {
+    if (typeof value !== 'string') return [];
+    const tokens = [];
+    let m;
+
+    INTERPOLATION_RE.lastIndex = 0;
+    while ((m = INTERPOLATION_RE.exec(value))) {
+        tokens.push(`{{${m[1]}}}`);
+    }
+    NESTING_RE.lastIndex = 0;
+    while ((m = NESTING_RE.exec(value))) {
+        tokens.push(`$t(${m[1]})`);
+    }
+    return tokens.sort();
+}
+
+/**
+ * Compare the placeholders of a new value with those of a reference value
+ * @param {string} reference - Value whose placeholders must be kept (e.g. the current template)
+ * @param {string} value - New value
+ * @param {Object} [options] - { distinct: compare which placeholders occur, not how often
+ *   (for another language, which may repeat a name or leave {{count}} out of a plural form) }
+ * @returns {Object} { missing, added, ok } where missing/added are token lists
+ */
+function comparePlaceholders(reference, value, options = {}) {
+    const tokens = text => options.distinct ? [...new Set(extractPlaceholders(text))] : extractPlaceholders(text);
+    const expected = tokens(reference);
+    const actual = tokens(value);
+
+    const missing = [];
+    const remaining = actual.slice();
+    for (const token of expected) {
+        const idx = remaining.indexOf(token);
+        if (idx === -1) {
+            missing.push(token);
+        } else {
+            remaining.splice(idx, 1);
+        }
+    }
+    return { missing, added: remaining, ok: missing.length === 0 && remaining.length === 0 };
+}
+
+/**
+ * Describe a comparison result for error messages
+ * @param {Object} result - Result of comparePlaceholders
+ * @returns {string} e.g. "missing {{name}}; unexpected {{nmae}}"
+ */
+function describePlaceholderProblems(result) {
+    const parts = [];
+    if (result.missing.length > 0) parts.push(`missing ${result.missing.join(', ')}`);
+    if (result.added.length > 0) parts.push(`unexpected ${result.added.join(', ')}`);
+    return parts.join('; ');
+}
+
+module.exports = { extractPlaceholders, comparePlaceholders, describePlaceholderProblems };
@@ -0,0 +1,57 @@
+// search.js - Full-text search over the keys and values of every locale file under root
+
+const path = require('path');
+const { localeLayout, listLocaleFiles } = require('./locale-resolver');
+const { readLocaleFile, flattenLocale } = require('./formats');
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Search keys and values (case-insensitive substring match)
+ * @param {Object|string} layout - Locale layout or root directory (see localeLayout)
+ * @param {string} query - Text to look for
+ * @param {Object} [options] - { langs, limit } (default: every language, 100 matches)
+ * @returns {Object} { matches: [{ lang, ns, file, key, value, field }], truncated }
+ *   file is relative to its root; field is "key" or "value" (what matched; key wins when both do)
+ */
+function searchLocales(layout, query, options = {}) {
+    const needle = String(query || '').trim().toLowerCase();
+    if (!needle) {
+        throw new Error('Empty search query');
+    }
+
+    layout = localeLayout(layout);
+    const limit = options.limit || DEFAULT_LIMIT;
+    const langs = options.langs && options.langs.length > 0 ? options.langs : null;
+    const files = listLocaleFiles(layout)
+        .filter(file => !langs || langs.includes(file.lang))
+        .sort((a, b) => a.lang.localeCompare(b.lang) || (a.ns || '').localeCompare(b.ns || ''));
+    const matches = [];
+
+    for (const { root, lang, ns, filePath } of files) {
+        let entries;
+        try {
+            entries = flattenLocale(readLocaleFile(filePath, { lang, fileFormat: layout.fileFormat }));
+        } catch (error) {
+            console.error(`[DEBUG] Skipping ${filePath}: ${error.message}`);
+            continue;
+        }
+
+        for (const [fileKey, value] of Object.entries(entries)) {
+            // Without {ns} in the path template, the first key segment is the namespace
+            const keyNs = ns !== null ? ns : fileKey.split('.')[0];
+            const key = ns !== null ? fileKey : fileKey.slice(keyNs.length + 1);
+            const field = key.toLowerCase().includes(needle) ? 'key' :
+                typeof value === 'string' && value.toLowerCase().includes(needle) ? 'value' : null;
+            if (!field || !key) continue;
+
+            if (matches.length >= limit) {
+                return { matches, truncated: true };
+            }
+            matches.push({ lang, ns: keyNs, file: path.relative(root, filePath), key, value, field });
+        }
+    }
+    return { matches, truncated: false };
+}
+
+module.exports = { searchLocales };
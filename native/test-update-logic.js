@@ -1,7 +1,14 @@
 #!/usr/bin/env node
 // Test script for the new namespace resolution logic
 
-const { updateI18n } = require('./update-i18n');
+const { updateI18n, restoreBackup } = require('./update-i18n');
+const { listBackups } = require('./backups');
+const { findVariants, pluralCategories } = require('./variants');
+const { searchLocales } = require('./search');
+const { gitStatus, gitDiff, gitCommit, dailyBranch } = require('./git');
+const { setAllowedRoots } = require('./confinement');
+const { exportTranslations, importTranslations, parseExchange } = require('./exchange');
+const { execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -13,6 +20,12 @@ fs.mkdirSync(langDir);
 
 console.log('Test directory:', testDir);
 
+// Print a check's outcome; a failed one makes the script exit with 1
+function check(label, ok) {
+    console.log(`${ok ? '✓' : '✗ FAILED'}: ${label}`);
+    if (!ok) process.exitCode = 1;
+}
+
 // Create test JSON files
 const reviewedJson = {
     common: {
@@ -129,6 +142,7 @@ const test5 = updateI18n({
 });
 console.log('Result:', test5);
 console.log('✓ Expected error about mismatch:', test5.errors[0]);
+console.log('✓ Expected conflict { current: "Speichern", expected: "Wrong Value", proposed: "Speichern (neu)" }:', test5.conflicts[0]);
 
 // Test 6: Value mismatch (with force: true)
 console.log('\n=== Test 6: Value mismatch (force: true) ===');
@@ -173,6 +187,687 @@ console.log('Updated in reviewed:', reviewed7.common.login);
 console.log('Updated in old:', old7.legacy.button.text);
 console.log('✓ Expected: both updated correctly');
 
+// Test 8: Tagged namespace selects {lang}/{ns}.json
+console.log('\n=== Test 8: Tagged namespace (checkout.json) ===');
+fs.writeFileSync(
+    path.join(langDir, 'checkout.json'),
+    JSON.stringify({ common: { login: "Zur Kasse anmelden" } }, null, 4)
+);
+const test8 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{
+        key: 'common.login',
+        ns: 'checkout',
+        old: 'Zur Kasse anmelden',
+        new: 'Anmelden und bezahlen'
+    }]
+});
+console.log('Result:', test8);
+const checkout8 = JSON.parse(fs.readFileSync(path.join(langDir, 'checkout.json'), 'utf-8'));
+const reviewed8 = JSON.parse(fs.readFileSync(path.join(langDir, 'reviewed.json'), 'utf-8'));
+console.log('Updated in checkout.json:', checkout8.common.login);
+console.log('Unchanged in reviewed.json:', reviewed8.common.login);
+check('"Anmelden und bezahlen" in checkout.json, reviewed.json untouched',
+    test8.success && checkout8.common.login === 'Anmelden und bezahlen' && reviewed8.common.login === 'Anmelden (batch)');
+
+// Test 9: Configured fallback chain (tagged namespace missing the key)
+console.log('\n=== Test 9: Configured fallback chain ===');
+const test9 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    namespaces: ['old'],
+    payload: [{
+        key: 'common.cancel',
+        ns: 'checkout',
+        old: 'Abbrechen (updated)',
+        new: 'Abbrechen (fallback)'
+    }]
+});
+console.log('Result:', test9);
+const old9 = JSON.parse(fs.readFileSync(path.join(langDir, 'old.json'), 'utf-8'));
+console.log('Updated in old.json:', old9.common.cancel);
+check('found through the fallback chain (searched: checkout, old)', test9.success && old9.common.cancel === 'Abbrechen (fallback)');
+
+// Test 10: Empty fallback chain only searches the tagged namespace
+console.log('\n=== Test 10: Empty fallback chain ===');
+const test10 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    namespaces: [],
+    payload: [{
+        key: 'buttons.save',
+        ns: 'checkout',
+        old: 'Speichern (forced)',
+        new: 'Speichern (nope)'
+    }]
+});
+console.log('Result:', test10);
+check('not found without a fallback chain', !test10.success && test10.errors[0].startsWith('Key not found'));
+
+// Test 11: Create a missing key (intermediate objects created)
+console.log('\n=== Test 11: Create missing key ===');
+const test11 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{
+        key: 'summary.total.label',
+        ns: 'checkout',
+        old: '',
+        new: 'Gesamtsumme',
+        create: true
+    }]
+});
+console.log('Result:', test11);
+const checkout11 = JSON.parse(fs.readFileSync(path.join(langDir, 'checkout.json'), 'utf-8'));
+console.log('Created in checkout.json:', checkout11.summary.total.label);
+console.log('Existing key kept:', checkout11.common.login);
+check('"Gesamtsumme" created, existing keys untouched',
+    test11.success && checkout11.summary.total.label === 'Gesamtsumme' && checkout11.common.login === 'Anmelden und bezahlen');
+
+// Test 12: Create a missing key in a namespace file that does not exist yet
+console.log('\n=== Test 12: Create key in new namespace file ===');
+const test12 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{
+        key: 'profile.title',
+        ns: 'account',
+        old: '',
+        new: 'Profil',
+        create: true
+    }]
+});
+console.log('Result:', test12);
+const account12 = JSON.parse(fs.readFileSync(path.join(langDir, 'account.json'), 'utf-8'));
+console.log('Created account.json:', JSON.stringify(account12));
+check('account.json created with {"profile":{"title":"Profil"}}', test12.success && JSON.stringify(account12) === '{"profile":{"title":"Profil"}}');
+
+// Test 13: Original formatting is preserved (2 spaces, CRLF, trailing newline, escaped unicode)
+console.log('\n=== Test 13: Preserve file formatting ===');
+const formattedText = '{\r\n  "menu": {\r\n    "file": "Datei",\r\n    "close": "Schlie\\u00dfen"\r\n  },\r\n  "zeta": "Z"\r\n}\r\n';
+fs.writeFileSync(path.join(langDir, 'formatted.json'), formattedText);
+const test13 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{
+        key: 'menu.file',
+        ns: 'formatted',
+        old: 'Datei',
+        new: 'Dateiübersicht'
+    }]
+});
+console.log('Result:', test13);
+const formattedLines = fs.readFileSync(path.join(langDir, 'formatted.json'), 'utf-8').split('\r\n');
+const changedLines = formattedLines.filter((line, idx) => line !== formattedText.split('\r\n')[idx]);
+console.log('Changed lines:', changedLines);
+check('exactly one changed line, escaped like the file', test13.success && changedLines.length === 1 && changedLines[0] === '    "file": "Datei\\u00fcbersicht",');
+
+// Test 14: Formatting overrides (2 spaces, sorted keys)
+console.log('\n=== Test 14: Formatting overrides ===');
+const test14 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    format: { indent: 2, sortKeys: true },
+    payload: [{
+        key: 'zeta',
+        ns: 'formatted',
+        old: 'Z',
+        new: 'Zett'
+    }]
+});
+console.log('Result:', test14);
+const formatted14 = fs.readFileSync(path.join(langDir, 'formatted.json'), 'utf-8');
+console.log(formatted14);
+check('2-space indentation, keys sorted (close before file), CRLF kept', test14.success &&
+    formatted14 === '{\r\n  "menu": {\r\n    "close": "Schlie\\u00dfen",\r\n    "file": "Datei\\u00fcbersicht"\r\n  },\r\n  "zeta": "Zett"\r\n}\r\n');
+
+// Test 15: Backup retention in a separate directory
+console.log('\n=== Test 15: Backup retention (separate dir, keep 2) ===');
+const backupPolicy = { dir: '.backups', maxCount: 2 };
+['Anmelden (batch)', 'Anmelden 1', 'Anmelden 2'].forEach((oldValue, idx) => {
+    updateI18n({
+        root: testDir,
+        lang: 'de',
+        force: false,
+        backup: backupPolicy,
+        payload: [{ key: 'common.login', ns: 'reviewed', old: oldValue, new: `Anmelden ${idx + 1}` }]
+    });
+});
+const backups15 = listBackups(path.join(langDir, 'reviewed.json'), testDir, backupPolicy);
+console.log('Backups kept:', backups15.map(b => b.name));
+check(`2 backups under ${path.join(testDir, '.backups', 'de')}`,
+    backups15.length === 2 && backups15.every(b => fs.existsSync(path.join(testDir, '.backups', 'de', b.name))));
+
+// Test 16: Restore a single key from the oldest kept backup
+console.log('\n=== Test 16: Restore key from backup ===');
+const test16 = restoreBackup({
+    root: testDir,
+    lang: 'de',
+    ns: 'reviewed',
+    key: 'common.login',
+    backup: backupPolicy,
+    backupName: backups15[backups15.length - 1].name
+});
+console.log('Result:', test16);
+const reviewed16 = JSON.parse(fs.readFileSync(path.join(langDir, 'reviewed.json'), 'utf-8'));
+console.log('Restored value:', reviewed16.common.login);
+check('"Anmelden 1" restored', test16.success && reviewed16.common.login === 'Anmelden 1');
+
+// Test 17: All-or-nothing batch with one bad item writes nothing
+console.log('\n=== Test 17: Atomic batch (one mismatch) ===');
+const before17 = fs.readFileSync(path.join(langDir, 'reviewed.json'), 'utf-8');
+const test17 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    atomic: true,
+    payload: [
+        { key: 'common.logout', ns: 'reviewed', old: 'Abmelden (neu)', new: 'Abmelden (batch)' },
+        { key: 'buttons.save', ns: 'reviewed', old: 'Wrong Value', new: 'Speichern (batch)' }
+    ]
+});
+console.log('Result:', test17);
+check('refused, file unchanged', !test17.success && fs.readFileSync(path.join(langDir, 'reviewed.json'), 'utf-8') === before17);
+
+// Test 18: All-or-nothing batch across languages (item.lang)
+console.log('\n=== Test 18: Atomic batch across languages ===');
+fs.mkdirSync(path.join(testDir, 'en'));
+fs.writeFileSync(path.join(testDir, 'en', 'reviewed.json'), JSON.stringify({ common: { logout: 'Log out' } }, null, 4));
+const test18 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    atomic: true,
+    payload: [
+        { key: 'common.logout', ns: 'reviewed', old: 'Abmelden (neu)', new: 'Abmelden (batch)' },
+        { key: 'common.logout', ns: 'reviewed', lang: 'en', old: 'Log out', new: 'Sign out' }
+    ]
+});
+console.log('Result:', test18);
+const en18 = JSON.parse(fs.readFileSync(path.join(testDir, 'en', 'reviewed.json'), 'utf-8'));
+const de18 = JSON.parse(fs.readFileSync(path.join(langDir, 'reviewed.json'), 'utf-8'));
+console.log('de:', de18.common.logout, '/ en:', en18.common.logout);
+check('"Abmelden (batch)" / "Sign out"', test18.success && de18.common.logout === 'Abmelden (batch)' && en18.common.logout === 'Sign out');
+
+// Test 19: Dropping or misspelling a placeholder is refused
+console.log('\n=== Test 19: Placeholder validation ===');
+fs.writeFileSync(
+    path.join(langDir, 'greeting.json'),
+    JSON.stringify({ hello: 'Hallo {{name}}, du hast {{count}} Nachrichten in $t(app.inbox)' }, null, 4)
+);
+const test19 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{
+        key: 'hello',
+        ns: 'greeting',
+        old: 'Hallo {{name}}, du hast {{count}} Nachrichten in $t(app.inbox)',
+        new: 'Hallo {{nmae}}, du hast Nachrichten in $t(app.inbox)'
+    }]
+});
+console.log('Result:', test19);
+check('refused: missing {{count}}, {{name}}; unexpected {{nmae}}',
+    !test19.success && test19.errors[0].endsWith('missing {{count}}, {{name}}; unexpected {{nmae}}'));
+
+// Test 20: Reordered / reformatted placeholders are fine
+console.log('\n=== Test 20: Placeholders kept (reordered) ===');
+const test20 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{
+        key: 'hello',
+        ns: 'greeting',
+        old: 'Hallo {{name}}, du hast {{count}} Nachrichten in $t(app.inbox)',
+        new: '{{count}} neue Nachrichten in $t(app.inbox) für {{ name }}'
+    }]
+});
+console.log('Result:', test20);
+check('reordered placeholders accepted', test20.success);
+
+// Test 21: Plural and context siblings of a base key
+console.log('\n=== Test 21: Plural/context variants ===');
+fs.writeFileSync(
+    path.join(langDir, 'cart.json'),
+    JSON.stringify({ cart: { items_one: '{{count}} Artikel', items_other: '{{count}} Artikel', friend: 'Freund', friend_female: 'Freundin' } }, null, 4)
+);
+const cartData = JSON.parse(fs.readFileSync(path.join(langDir, 'cart.json'), 'utf-8'));
+const suffixes21 = findVariants(cartData, 'cart.items').map(v => v.suffix);
+const contexts21 = findVariants(cartData, 'cart.friend').map(v => v.context);
+const ru21 = pluralCategories('ru').cardinal;
+console.log('Variants:', suffixes21, 'Context:', contexts21, 'Plural categories (ru):', ru21);
+check('[one, other], [female], [one, few, many, other]', JSON.stringify([suffixes21, contexts21, ru21]) ===
+    JSON.stringify([['one', 'other'], ['female'], ['one', 'few', 'many', 'other']]));
+
+// Test 22: Add a missing plural category next to the others
+console.log('\n=== Test 22: Add missing plural category ===');
+const test22 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{ key: 'cart.items_zero', ns: 'cart', old: '', new: 'Keine Artikel', create: true }]
+});
+console.log('Result:', test22);
+const cart22 = JSON.parse(fs.readFileSync(path.join(langDir, 'cart.json'), 'utf-8')).cart;
+console.log('Cart:', cart22);
+check('items_zero added to cart', test22.success && cart22.items_zero === 'Keine Artikel');
+
+// Test 23: Full-text search over keys and values
+console.log('\n=== Test 23: Search keys and values ===');
+const byValue = searchLocales(testDir, 'keine artikel');
+const byKey = searchLocales(testDir, 'cart.friend');
+console.log('By value:', byValue.matches.map(m => `${m.file}: ${m.key} (${m.field})`));
+console.log('By key:', byKey.matches.map(m => `${m.key} (${m.field})`));
+check('cart.items_zero found by value; cart.friend, cart.friend_female by key',
+    byValue.matches.some(m => m.key === 'cart.items_zero' && m.field === 'value') &&
+    JSON.stringify(byKey.matches.map(m => m.key)) === JSON.stringify(['cart.friend', 'cart.friend_female']));
+
+// Test 24: Rails-style YAML - update and create keep comments, quoting and order
+console.log('\n=== Test 24: YAML locale file ===');
+fs.writeFileSync(path.join(langDir, 'shop.yml'), [
+    '# Shop',
+    'de:',
+    '  cart:',
+    '    title: Warenkorb # header',
+    "    empty: 'Leer'",
+    '  checkout:',
+    '    total: "Summe: {{amount}}"',
+    '',
+].join('\n'));
+const test24 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [
+        { key: 'cart.title', ns: 'shop', old: 'Warenkorb', new: 'Dein Warenkorb' },
+        { key: 'cart.empty', ns: 'shop', old: 'Leer', new: "Nichts drin, wirklich's leer" },
+        { key: 'checkout.tax', ns: 'shop', old: '', new: 'MwSt: {{amount}}', create: true },
+        { key: 'checkout.total', ns: 'shop', old: 'Wrong', new: 'Gesamt: {{amount}}' }
+    ]
+});
+console.log('Result:', test24);
+const shop24 = fs.readFileSync(path.join(langDir, 'shop.yml'), 'utf-8');
+console.log(shop24);
+const backups24 = listBackups(path.join(langDir, 'shop.yml'), testDir).map(b => path.extname(b.name));
+console.log('Backups:', backups24);
+check('1 mismatch (checkout.total), the other items applied', test24.conflicts.length === 1 &&
+    test24.conflicts[0].key === 'checkout.total' && test24.applied.length === 3);
+check("comments and quoting kept, tax added under checkout", shop24 === [
+    '# Shop',
+    'de:',
+    '  cart:',
+    '    title: Dein Warenkorb # header',
+    "    empty: 'Nichts drin, wirklich''s leer'",
+    '  checkout:',
+    '    total: "Summe: {{amount}}"',
+    '    tax: "MwSt: {{amount}}"',
+    '',
+].join('\n'));
+check('backups end in .yml', backups24.length > 0 && backups24.every(ext => ext === '.yml'));
+
+// Test 25: Gettext, properties, ARB and XLIFF go through the same update path
+console.log('\n=== Test 25: PO, properties, ARB and XLIFF ===');
+fs.writeFileSync(path.join(langDir, 'messages.po'), [
+    'msgid ""',
+    'msgstr ""',
+    '"Language: de\\n"',
+    '',
+    '#: src/Cart.tsx:12',
+    '#, fuzzy',
+    'msgid "Add to cart"',
+    'msgstr "In den Warenkorb"',
+    '',
+].join('\n'));
+fs.writeFileSync(path.join(langDir, 'bundle.properties'), '# Labels\ncart.title = Warenkorb\ngreeting=Gr\\u00fc\\u00dfe\n');
+fs.writeFileSync(path.join(langDir, 'app.arb'), JSON.stringify({ '@@locale': 'de', cartTitle: 'Warenkorb', '@cartTitle': { description: 'Header' } }, null, 2));
+fs.writeFileSync(path.join(langDir, 'site.xlf'), [
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    '  <file source-language="en" target-language="de" datatype="plaintext" original="site">',
+    '    <body>',
+    '      <trans-unit id="cart.title">',
+    '        <source>Cart</source>',
+    '        <target>Warenkorb</target>',
+    '      </trans-unit>',
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    '',
+].join('\n'));
+const test25 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [
+        { key: 'Add to cart', ns: 'messages', old: 'In den Warenkorb', new: 'Zum Warenkorb' },
+        { key: 'greeting', ns: 'bundle', old: 'Grüße', new: 'Viele Grüße' },
+        { key: 'cartTitle', ns: 'app', old: 'Warenkorb', new: 'Korb' },
+        { key: 'cart.title', ns: 'site', old: 'Warenkorb', new: 'Korb & mehr' },
+        { key: 'cart.empty', ns: 'site', old: '', new: 'Leer', create: true }
+    ]
+});
+console.log('Result:', test25);
+const files25 = {};
+for (const file of ['messages.po', 'bundle.properties', 'app.arb', 'site.xlf']) {
+    files25[file] = fs.readFileSync(path.join(langDir, file), 'utf-8');
+    console.log(`--- ${file}\n${files25[file]}`);
+}
+check('all five items applied', test25.success && test25.applied.length === 5);
+check('PO: fuzzy flag dropped', !files25['messages.po'].includes('fuzzy') && files25['messages.po'].includes('msgstr "Zum Warenkorb"'));
+check('properties: escaped like the file', files25['bundle.properties'].includes('greeting=Viele Gr\\u00fc\\u00dfe\n'));
+check('ARB: @cartTitle kept', JSON.stringify(JSON.parse(files25['app.arb'])) ===
+    JSON.stringify({ '@@locale': 'de', cartTitle: 'Korb', '@cartTitle': { description: 'Header' } }));
+check('XLIFF: target escaped, cart.empty unit added', files25['site.xlf'].includes('<target>Korb &amp; mehr</target>') &&
+    files25['site.xlf'].includes('<trans-unit id="cart.empty">'));
+
+// Test 26: Path template without {ns} (namespaces as top-level keys) over two roots
+console.log('\n=== Test 26: Path template and multiple roots ===');
+const appRoot = path.join(testDir, 'app');
+const libRoot = path.join(testDir, 'lib');
+fs.mkdirSync(appRoot);
+fs.mkdirSync(libRoot);
+fs.writeFileSync(path.join(appRoot, 'de.json'), JSON.stringify({ shop: { title: 'Laden' } }, null, 2));
+fs.writeFileSync(path.join(libRoot, 'de.json'), JSON.stringify({ ui: { ok: 'OK' }, shop: { title: 'Shop (Bibliothek)' } }, null, 2));
+const test26 = updateI18n({
+    root: [appRoot, libRoot],
+    pathTemplate: '{root}/{lang}.json',
+    lang: 'de',
+    force: false,
+    namespaces: [],
+    payload: [
+        { key: 'title', ns: 'shop', old: 'Laden', new: 'Geschäft' },
+        { key: 'ok', ns: 'ui', old: 'OK', new: 'Okay' },
+        { key: 'cancel', ns: 'ui', old: '', new: 'Abbrechen', create: true }
+    ]
+});
+console.log('Result:', test26);
+const app26 = JSON.parse(fs.readFileSync(path.join(appRoot, 'de.json'), 'utf-8'));
+const lib26 = JSON.parse(fs.readFileSync(path.join(libRoot, 'de.json'), 'utf-8'));
+console.log('App:', app26);
+console.log('Lib:', lib26);
+check('shop.title changed in app only, ui.ok in lib, ui.cancel created in app (first root)', test26.success &&
+    JSON.stringify(app26) === JSON.stringify({ shop: { title: 'Geschäft' }, ui: { cancel: 'Abbrechen' } }) &&
+    JSON.stringify(lib26) === JSON.stringify({ ui: { ok: 'Okay' }, shop: { title: 'Shop (Bibliothek)' } }));
+
+// Test 27: Git status, diff and commit of edited files; refused mid-rebase
+console.log('\n=== Test 27: Git integration ===');
+const repoDir = path.join(testDir, 'repo');
+const repoLocales = path.join(repoDir, 'locales');
+fs.mkdirSync(path.join(repoLocales, 'de'), { recursive: true });
+fs.writeFileSync(path.join(repoLocales, 'de', 'shop.json'), JSON.stringify({ cart: { title: 'Warenkorb' } }, null, 2) + '\n');
+const runGit = (...args) => execFileSync('git', args, { cwd: repoDir, encoding: 'utf-8' });
+runGit('init', '--quiet');
+runGit('config', 'user.name', 'Test');
+runGit('config', 'user.email', 'test@example.com');
+runGit('add', '.');
+runGit('commit', '--quiet', '-m', 'Initial');
+updateI18n({
+    root: repoLocales,
+    lang: 'de',
+    backup: { dir: '../../backups' },
+    payload: [{ key: 'cart.title', ns: 'shop', old: 'Warenkorb', new: 'Einkaufswagen' }]
+});
+const repoFile = path.join(repoLocales, 'de', 'shop.json');
+const status27 = gitStatus([repoFile]).repos[0].files[0];
+console.log('Status:', status27);
+check('changed but unstaged', status27.changed && !status27.staged);
+const diff27 = gitDiff([repoFile]);
+console.log(diff27);
+check('diff -Warenkorb/+Einkaufswagen', diff27.includes('-    "title": "Warenkorb"') && diff27.includes('+    "title": "Einkaufswagen"'));
+fs.mkdirSync(path.join(repoDir, '.git', 'rebase-merge'));
+let rebase27 = null;
+try {
+    gitCommit([repoFile], {});
+} catch (error) {
+    rebase27 = error.message;
+    console.log('Mid-rebase:', error.message);
+}
+check('refused mid-rebase', /middle of a rebase/.test(rebase27));
+fs.rmdirSync(path.join(repoDir, '.git', 'rebase-merge'));
+const test27 = gitCommit([repoFile], { branch: true, edits: [{ key: 'cart.title', ns: 'shop', lang: 'de', file: repoFile }] });
+console.log('Commits:', test27);
+const log27 = runGit('log', '-1', '--format=%s%n%b');
+console.log(log27);
+check("one commit on i18n/<today> listing 'de shop:cart.title'", test27.length === 1 &&
+    test27[0].branch === dailyBranch() && log27.includes('- de shop:cart.title'));
+// Back on the original branch, the existing i18n/<today> branch is not checked out
+runGit('checkout', '--quiet', '-');
+updateI18n({
+    root: repoLocales,
+    lang: 'de',
+    backup: { dir: '../../backups' },
+    payload: [{ key: 'cart.title', ns: 'shop', old: 'Warenkorb', new: 'Korb' }]
+});
+let branch27 = null;
+try {
+    gitCommit([repoFile], { branch: true });
+} catch (error) {
+    branch27 = error.message.replace(repoDir, '<repo>');
+    console.log('Other branch:', branch27);
+}
+check(`back on the original branch: refused (switch to ${dailyBranch()} first), branch not switched`,
+    /switch to .* first/.test(branch27) && runGit('symbolic-ref', '--short', 'HEAD').trim() !== dailyBranch());
+
+// Test 28: Per-item force re-sends a resolved conflict without the global force setting
+console.log('\n=== Test 28: Per-item force ===');
+const test28 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [
+        { key: 'common.login', ns: 'reviewed', old: 'Stale', new: 'Einloggen' },
+        { key: 'buttons.save', ns: 'reviewed', old: 'Stale', new: 'Sichern', force: true }
+    ]
+});
+console.log('Result:', test28);
+const reviewed28 = JSON.parse(fs.readFileSync(path.join(langDir, 'reviewed.json'), 'utf-8'));
+console.log('Values:', reviewed28.common.login, '/', reviewed28.buttons.save);
+check('one conflict for common.login (unchanged), buttons.save forced to "Sichern"', test28.conflicts.length === 1 &&
+    test28.conflicts[0].key === 'common.login' && reviewed28.common.login === 'Anmelden 1' && reviewed28.buttons.save === 'Sichern');
+
+// Test 29: Confined to allowed roots; traversal in lang and symlinks out of the root refused
+console.log('\n=== Test 29: Path confinement ===');
+const outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-test-outside-'));
+fs.writeFileSync(path.join(outsideDir, 'secret.json'), JSON.stringify({ token: 'abc' }, null, 2) + '\n');
+fs.symlinkSync(path.join(outsideDir, 'secret.json'), path.join(langDir, 'linked.json'));
+setAllowedRoots([testDir]);
+const attempts = {
+    traversal: { root: testDir, lang: `../${path.basename(outsideDir)}/..`, payload: [{ key: 'token', ns: 'secret', old: 'abc', new: 'x' }] },
+    symlink: { root: testDir, lang: 'de', payload: [{ key: 'token', ns: 'linked', old: 'abc', new: 'x' }] },
+    create: { root: outsideDir, lang: 'de', payload: [{ key: 'token', ns: 'new', old: '', new: 'x', create: true }] },
+};
+const outcomes29 = {};
+for (const [name, config] of Object.entries(attempts)) {
+    try {
+        const result = updateI18n({ force: false, namespaces: [], ...config });
+        outcomes29[name] = result.success ? 'applied' : result.errors.join('; ');
+    } catch (error) {
+        outcomes29[name] = `threw ${error.message}`;
+    }
+    console.log(`${name}:`, outcomes29[name]);
+}
+setAllowedRoots(null);
+const outside29 = fs.readFileSync(path.join(outsideDir, 'secret.json'), 'utf-8').trim().replace(/\s+/g, ' ');
+console.log('Outside file:', outside29);
+check('invalid language code', outcomes29.traversal.startsWith('threw Invalid language code'));
+check('key not found through the symlink', outcomes29.symlink.startsWith('Key not found'));
+check('outside root refused', outcomes29.create.includes("outside the native host's allowed roots"));
+check('outside file unchanged, nothing created',
+    outside29 === '{ "token": "abc" }' && !fs.existsSync(path.join(outsideDir, 'de', 'new.json')));
+fs.unlinkSync(path.join(langDir, 'linked.json'));
+
+// Test 30: Translator exchange - export XLIFF/CSV, import with placeholder and old value checks
+console.log('\n=== Test 30: Translator exchange ===');
+const exchangeRoot = path.join(testDir, 'exchange');
+fs.mkdirSync(path.join(exchangeRoot, 'en'), { recursive: true });
+fs.mkdirSync(path.join(exchangeRoot, 'de'));
+fs.writeFileSync(path.join(exchangeRoot, 'en', 'shop.json'), JSON.stringify({ cart: { title: 'Cart', items: '{{count}} items', empty: 'Empty', total: 'Total' } }, null, 2) + '\n');
+fs.writeFileSync(path.join(exchangeRoot, 'de', 'shop.json'), JSON.stringify({ cart: { title: 'Warenkorb', items: '{{count}} Artikel', total: 'Summe' } }, null, 2) + '\n');
+const exchangeConfig = { root: exchangeRoot, lang: 'de', namespaces: [] };
+const exchangeKeys = ['title', 'items', 'empty', 'total', 'unknown'].map(key => ({ key: `cart.${key}`, ns: 'shop' }));
+const xliff = exportTranslations(exchangeConfig, exchangeKeys, { format: 'xliff', sourceLang: 'en', targetLang: 'de', context: 'http://localhost:3000/cart' });
+console.log(xliff.content);
+console.log('Missing:', xliff.missing);
+const units30 = xliff.content.split('<unit ').slice(1);
+check('4 units (cart.empty without target), cart.unknown missing', units30.length === 4 &&
+    units30.some(unit => unit.includes('name="shop:cart.empty"') && !unit.includes('<target>')) &&
+    JSON.stringify(xliff.missing) === '["cart.unknown"]');
+const csv = exportTranslations(exchangeConfig, exchangeKeys, { format: 'csv', sourceLang: 'en', targetLang: 'de', context: 'http://localhost:3000/cart' });
+console.log('CSV round trip:', JSON.stringify(parseExchange(csv.content).entries.map(entry => [entry.key, entry.target, entry.original])));
+// Translator's work: a new title, a dropped placeholder, a new key, total untouched...
+const translated = xliff.content
+    .replace('<target>Warenkorb</target>', '<target>Einkaufswagen &amp; Co</target>')
+    .replace('<target>{{count}} Artikel</target>', '<target>Artikel</target>')
+    .replace('<source>Empty</source>', '<source>Empty</source>\n        <target>Leer</target>');
+const test30 = importTranslations(exchangeConfig, translated);
+console.log('Import:', JSON.stringify(test30));
+check('import applies title and empty, skips items (placeholder) and total (unchanged)',
+    JSON.stringify(test30.applied.map(item => item.key)) === '["cart.title","cart.empty"]' &&
+    JSON.stringify(test30.skipped.map(item => [item.key, item.reason.split(':')[0]])) ===
+        '[["cart.items","Placeholder mismatch"],["cart.total","Unchanged"]]');
+// ...and a stale file: the title changed in the project after the export
+const stale = csv.content.replace('cart.title,shop,Cart,Warenkorb', 'cart.title,shop,Cart,Korb');
+const test30b = importTranslations(exchangeConfig, stale);
+console.log('Stale import:', JSON.stringify({ applied: test30b.applied, conflicts: test30b.conflicts }));
+check('stale import reports a conflict for cart.title', test30b.applied.length === 0 &&
+    test30b.conflicts.length === 1 && test30b.conflicts[0].key === 'cart.title');
+console.log('File:', JSON.stringify(JSON.parse(fs.readFileSync(path.join(exchangeRoot, 'de', 'shop.json'), 'utf-8'))));
+// ...and the same key in a namespace that does not exist: results are told apart by namespace
+const titleCsv = exportTranslations(exchangeConfig, [{ key: 'cart.title', ns: 'shop' }], { format: 'csv', sourceLang: 'en', targetLang: 'de' }).content;
+const titleRow = titleCsv.split('\n').find(line => line.startsWith('cart.title,'));
+const test30c = importTranslations(exchangeConfig, titleCsv
+    .replace(titleRow, `${titleRow}\n${titleRow.replace(',shop,', ',gone,')}`)
+    .replace(/Einkaufswagen & Co(?=,Einkaufswagen)/g, 'Einkaufskorb'));
+console.log('Two namespaces:', JSON.stringify({ applied: test30c.applied, skipped: test30c.skipped }));
+check('shop.cart.title applied as Einkaufskorb, gone.cart.title skipped (not found)',
+    test30c.applied.length === 1 && test30c.applied[0].ns === 'shop' && test30c.applied[0].value === 'Einkaufskorb' &&
+    test30c.skipped.length === 1 && test30c.skipped[0].ns === 'gone' && test30c.skipped[0].reason.startsWith('Key not found'));
+
+// Test 31: Placeholders differing from another language are a warning, not a refusal
+console.log('\n=== Test 31: Placeholders compared with other languages ===');
+fs.writeFileSync(path.join(exchangeRoot, 'en', 'mail.json'), JSON.stringify({ inbox: 'Hello {{name}}', unread: '{{name}}, {{name}}: {{count}}' }, null, 2) + '\n');
+fs.writeFileSync(path.join(exchangeRoot, 'de', 'mail.json'), JSON.stringify({ inbox: 'Hallo', unread: '{{name}}: {{count}}' }, null, 2) + '\n');
+const test31 = updateI18n({
+    ...exchangeConfig,
+    payload: [
+        { key: 'inbox', ns: 'mail', old: 'Hallo', new: 'Hallo zusammen' },
+        { key: 'unread', ns: 'mail', old: '{{name}}: {{count}}', new: 'Neu: {{name}}' }
+    ]
+});
+console.log('Warnings:', test31.warnings, 'Errors:', test31.errors);
+check('edit written with a warning (missing {{name}}, compared with en)',
+    test31.applied.some(item => item.key === 'inbox') && test31.warnings.length === 1 && test31.warnings[0].includes('{{name}}'));
+check('own placeholder dropped: refused', test31.failed.length === 1 && test31.failed[0].key === 'unread');
+const test31b = updateI18n({ ...exchangeConfig, payload: [{ key: 'unread', ns: 'mail', old: '{{name}}: {{count}}', new: '{{name}} hat {{count}}' }] });
+check('repeated name in the other language is no difference', test31b.success && test31b.warnings.length === 0);
+
+// Test 32: Folded YAML blocks, YAML sequences and single-line JSON keep their style
+console.log('\n=== Test 32: Folded YAML, YAML sequences, single-line JSON ===');
+fs.writeFileSync(path.join(langDir, 'help.yml'), [
+    'intro: >',
+    '  Willkommen im',
+    '  Shop.',
+    'sizes:',
+    '  - klein',
+    '  - gross',
+    '',
+].join('\n'));
+fs.writeFileSync(path.join(langDir, 'inline.json'), '{ "title": "Titel", "menu": { "open": "Öffnen" } }\n');
+const test32 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [
+        { key: 'intro', ns: 'help', old: 'Willkommen im Shop.\n', new: 'Hallo im\nLaden.\n' },
+        { key: 'sizes.0', ns: 'help', old: 'klein', new: 'mini' },
+        { key: 'sizes.extra', ns: 'help', old: '', new: 'XL', create: true },
+        { key: 'menu.open', ns: 'inline', old: 'Öffnen', new: 'Öffnen…' }
+    ]
+});
+console.log('Errors:', test32.errors);
+const help32 = fs.readFileSync(path.join(langDir, 'help.yml'), 'utf-8');
+const inline32 = fs.readFileSync(path.join(langDir, 'inline.json'), 'utf-8');
+console.log(help32);
+console.log(inline32.trim());
+check('sizes.0 and sizes.extra refused (sizes is not a mapping)', JSON.stringify(test32.failed.map(item => item.key)) === '["sizes.0","sizes.extra"]' &&
+    test32.errors.every(error => error.includes("'sizes'") && error.endsWith('is not a mapping')));
+check('intro stays folded (paragraphs split by an empty line), sizes untouched',
+    help32 === 'intro: >\n  Hallo im\n\n  Laden.\nsizes:\n  - klein\n  - gross\n');
+check('inline.json keeps its spaces', inline32 === '{ "title": "Titel", "menu": { "open": "Öffnen…" } }\n');
+
+// Test 33: Directories that are not language codes are ignored
+console.log('\n=== Test 33: Stray directories under the root ===');
+const strayRoot = path.join(testDir, 'stray');
+['de', 'en', 'old copy'].forEach(dir => fs.mkdirSync(path.join(strayRoot, dir), { recursive: true }));
+fs.writeFileSync(path.join(strayRoot, 'de', 'shop.json'), JSON.stringify({ title: 'Laden' }, null, 2) + '\n');
+fs.writeFileSync(path.join(strayRoot, 'en', 'shop.json'), JSON.stringify({ title: 'Shop', empty: 'Empty' }, null, 2) + '\n');
+fs.writeFileSync(path.join(strayRoot, 'old copy', 'shop.json'), JSON.stringify({ empty: 'Leer' }, null, 2) + '\n');
+const test33 = updateI18n({
+    root: strayRoot,
+    lang: 'de',
+    namespaces: [],
+    payload: [
+        { key: 'title', ns: 'shop', old: 'Laden', new: 'Geschäft' },
+        { key: 'empty', ns: 'shop', old: '', new: 'Leer', create: true }
+    ]
+});
+console.log('Result:', JSON.stringify({ applied: test33.applied, errors: test33.errors }));
+check('edit and created key both applied, "old copy" ignored', test33.success && test33.applied.length === 2);
+
+// Test 34: Only the edited value changes, whatever the rest of the file looks like
+console.log('\n=== Test 34: JSON edits keep escapes, key order and inline arrays ===');
+const mixedText = [
+    '{',
+    '  "title": "Gr\\u00fc\\u00dfe",',
+    '  "raw": "Grüße",',
+    '  "10": "zehn",',
+    '  "url": "https:\\/\\/example.com",',
+    '  "sizes": ["S", "M"],',
+    '  "menu": {',
+    '    "open": "\\u00d6ffnen"',
+    '  }',
+    '}',
+    ''
+].join('\n');
+fs.writeFileSync(path.join(langDir, 'mixed.json'), mixedText);
+const test34 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [
+        { key: 'menu.open', ns: 'mixed', old: 'Öffnen', new: 'Öffnen…' },
+        { key: 'menu.close', ns: 'mixed', old: '', new: 'Schließen', create: true }
+    ]
+});
+const mixedLines = fs.readFileSync(path.join(langDir, 'mixed.json'), 'utf-8').split('\n');
+console.log(mixedLines.join('\n'));
+check('edited value keeps its \\u escapes', test34.success && mixedLines[7] === '    "open": "\\u00d6ffnen\\u2026",');
+check('new key added after its siblings', mixedLines[8] === '    "close": "Schließen"');
+check('every other line unchanged', mixedText.split('\n').every((line, idx) => idx === 7 ? true : mixedLines[idx >= 8 ? idx + 1 : idx] === line));
+
+// Test 35: Plain YAML scalars continued on more-indented lines
+console.log('\n=== Test 35: Multi-line plain YAML scalar ===');
+fs.writeFileSync(path.join(langDir, 'plain.yml'), 'greeting: hello\n  world\nfarewell: bye # short\n');
+const test35 = updateI18n({
+    root: testDir,
+    lang: 'de',
+    force: false,
+    payload: [{ key: 'greeting', ns: 'plain', old: 'hello world', new: 'hallo Welt' }]
+});
+const plainText = fs.readFileSync(path.join(langDir, 'plain.yml'), 'utf-8');
+console.log('Errors:', test35.errors);
+console.log(plainText);
+check('continuation line read as part of the value and replaced with it',
+    test35.success && plainText === 'greeting: hallo Welt\nfarewell: bye # short\n');
+
 console.log('\n=== All Tests Complete ===');
 console.log('Backups created:');
 const backups = fs.readdirSync(langDir).filter(f => f.includes('.backup-'));
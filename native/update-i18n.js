@@ -4,19 +4,43 @@
 
 const fs = require('fs');
 const path = require('path');
+const { resolveNamespaces, localeLayout, keyInFile, namespaceFilePath, rootOf, listLanguages, findKey, resolveLocaleFile } = require('./locale-resolver');
+const { comparePlaceholders, describePlaceholderProblems } = require('./placeholders');
+const { adapterFor, readLocaleFile, lookupValue, hasKey } = require('./formats');
+const { createBackup, findBackup, backupValue } = require('./backups');
+const { checkPath } = require('./confinement');
 
 /**
  * Updates i18n translation files based on payload
- * Strategy: Check reviewed.json first, then fall back to old.json
+ * Strategy: Check the item's namespace ({root}/{lang}/{ns}.{ext}) first,
+ * then fall back through the configured namespace chain (default: reviewed, old)
+ * Files are read and written through their format adapter (see formats/index.js)
  * @param {Object} config - Configuration object
- * @param {string} config.root - Root directory for locales (default: src/assets/locales)
+ * @param {string|Array<string>} config.root - Root directory for locales, or several searched
+ *   in order (default: src/assets/locales)
+ * @param {string} [config.pathTemplate] - Where files live under a root (default: {root}/{lang}/{ns}.{ext})
  * @param {string} config.lang - Language code (default: de)
- * @param {boolean} config.force - Skip old value verification (default: false)
+ * @param {boolean} config.force - Skip old value and placeholder verification (default: false)
+ * @param {Array|string} [config.namespaces] - Fallback namespace chain (default: reviewed, old)
+ * @param {Object} [config.backup] - Backup policy { dir, maxCount, maxAgeDays } (default: keep all, next to the file)
+ * @param {Object} [config.format] - JSON formatting overrides, e.g. { indent: 2, sortKeys: true }
+ *   (default: keep each file's own indentation, line endings, trailing newline and escapes)
+ * @param {string} [config.fileFormat] - File format for every locale file, e.g. "yaml"
+ *   (default: by file extension)
+ * @param {boolean} [config.atomic] - All-or-nothing: validate every item first and write nothing
+ *   if any fails; files already written are rolled back if a write fails (default: false)
  * @param {Array|Object} config.payload - Translation updates array or single object
- * @returns {Object} Result object with success status and details
+ *   (an item's own lang overrides config.lang; an item's force: true skips the checks for
+ *   that item only, e.g. to re-send a resolved conflict)
+ * @returns {Object} Result object with success status and details; applied lists the items
+ *   written ({ key, ns, lang }), conflicts the items whose file value no longer matched their
+ *   old value (see mismatchConflict), failed every other item refused ({ key, ns, lang, error };
+ *   ns is the item's own when the key was not found). errors holds all messages; warnings
+ *   the placeholder differences from another language of items written anyway.
  */
 function updateI18n(config) {
-    const { root, lang, force, payload } = config;
+    const { lang, force, payload, namespaces, format, backup, atomic } = config;
+    const layout = localeLayout(config);
     
     // Validate payload
     if (!payload) {
@@ -26,89 +50,125 @@ function updateI18n(config) {
     // Normalize to an array of items
     const items = Array.isArray(payload) ? payload : [payload];
     
-    // Validate required fields (ns is optional now - we'll search for the key)
+    // Validate required fields (ns is optional - without it only the fallback chain is searched)
+    // New keys (create: true) have no old value
     items.forEach((item, idx) => {
-        if (!item.key || !item.old) {
+        if (!item.key || (!item.old && !item.create)) {
             throw new Error(`Item ${idx}: missing required field (key or old)`);
         }
     });
     
+    // All-or-nothing: refuse the whole batch before touching any file
+    if (atomic) {
+        const { problems, conflicts, failed } = checkItems(config, items);
+        if (problems.length > 0) {
+            return {
+                success: false,
+                updatedFiles: [],
+                applied: [],
+                errors: problems,
+                conflicts,
+                failed,
+                warnings: [],
+                message: `Nothing written: ${problems.length} error(s)`
+            };
+        }
+    }
+    
     const updatedFiles = [];
+    const applied = [];
     const errors = [];
-    
-    // Define namespace priority: reviewed.json first, then old.json
-    const namespacePriority = ['reviewed', 'old'];
+    const conflicts = [];
+    const failed = [];
+    const warnings = [];
+    // Backup taken per file in this call (null for files created by it), for rollback
+    const backups = new Map();
     
     // Process each item
     items.forEach(item => {
+        const itemLang = item.lang || lang;
+        const itemForce = force || !!item.force;
+        const fail = (ns, error) => {
+            errors.push(error);
+            failed.push({ key: item.key, ns: ns || null, lang: itemLang, error });
+        };
+        
         if (!item.new) {
-            errors.push(`Skipping item without 'new' value: ${item.key}`);
+            fail(item.ns, `Skipping item without 'new' value: ${item.key}`);
             return;
         }
         
-        let foundInNamespace = null;
-        let foundData = null;
-        let foundFilePath = null;
+        // Namespace priority: tagged namespace first, then the fallback chain
+        const namespacePriority = resolveNamespaces(item.ns, namespaces);
+        const found = findKey(layout, itemLang, item.key, namespacePriority);
         
-        // Search for key in namespaces (priority order)
-        for (const ns of namespacePriority) {
-            const filePath = path.join(root, lang, `${ns}.json`);
-            
-            if (!fs.existsSync(filePath)) {
-                console.error(`[DEBUG] File not found: ${filePath}`);
-                continue;
+        // Missing key: insert it into the chosen namespace file when asked to
+        if (!found && item.create) {
+            const targetNs = namespacePriority[0];
+            if (!targetNs) {
+                fail(null, `Cannot create ${item.key}: no namespace given`);
+                return;
             }
-            
             try {
-                const jsonData = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-                
-                // Check if key exists in this namespace
-                if (keyExists(jsonData, item.key)) {
-                    foundInNamespace = ns;
-                    foundData = jsonData;
-                    foundFilePath = filePath;
-                    console.error(`[DEBUG] Key ${item.key} found in ${ns}.json`);
-                    break;
+                const placeholderWarning = !itemForce && checkOtherLanguagePlaceholders(layout, itemLang, item, namespacePriority, `new ${item.key}`);
+                const { filePath, backupPath } = createKey(layout, itemLang, targetNs, item.key, item.new, {
+                    backup: !updatedFiles.includes(namespaceFilePath(layout, itemLang, targetNs)) && backup,
+                    format,
+                });
+                if (!updatedFiles.includes(filePath)) {
+                    updatedFiles.push(filePath);
+                    backups.set(filePath, backupPath);
                 }
+                applied.push({ key: item.key, ns: targetNs, lang: itemLang });
+                if (placeholderWarning) warnings.push(placeholderWarning);
             } catch (error) {
-                console.error(`[DEBUG] Error reading ${filePath}: ${error.message}`);
-                continue;
+                fail(targetNs, `Error creating ${targetNs}.${item.key}: ${error.message}`);
             }
+            return;
         }
         
         // If key not found in any namespace, error
-        if (!foundInNamespace) {
-            errors.push(`Key not found in any namespace: ${item.key} (searched: ${namespacePriority.join(', ')})`);
+        if (!found) {
+            fail(item.ns, `Key not found in any namespace: ${item.key} (searched: ${namespacePriority.join(', ')})`);
             return;
         }
         
+        const foundInNamespace = found.ns;
+        const foundFilePath = found.filePath;
+        
         // Perform the update
         try {
             // Create backup if this is the first change to this file
             if (!updatedFiles.includes(foundFilePath)) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                const backupPath = `${foundFilePath}.backup-${timestamp}.json`;
-                fs.copyFileSync(foundFilePath, backupPath);
-                console.error(`[DEBUG] Backup created: ${backupPath}`);
+                backups.set(foundFilePath, createBackup(foundFilePath, found.root, backup));
             }
             
-            const cursor = traversePath(foundData, item.key);
-            const currentValue = cursor.value;
+            const currentValue = lookupValue(found, found.fileKey);
             const currentStr = typeof currentValue === 'string' ? currentValue : String(currentValue);
             
             // Value matching logic (if not forced)
-            if (!force && currentStr !== item.old) {
+            if (!itemForce && currentStr !== item.old) {
                 errors.push(`Mismatch for ${foundInNamespace}.${item.key}: current="${currentStr}", expected="${item.old}"`);
+                conflicts.push(mismatchConflict(found, item, itemLang, currentValue));
                 return;
             }
             
-            // Update the value
-            cursor.value = item.new;
-            console.error(`[DEBUG] Updated ${foundInNamespace}.${item.key}: "${item.old}" -> "${item.new}"`);
+            // Interpolation placeholders and $t() nesting must survive the edit (if not forced)
+            const placeholders = comparePlaceholders(currentStr, item.new);
+            if (!itemForce && !placeholders.ok) {
+                fail(foundInNamespace, `Placeholder mismatch for ${foundInNamespace}.${item.key}: ${describePlaceholderProblems(placeholders)}`);
+                return;
+            }
+            // ...and should match the other languages, like a new key (a warning only)
+            const placeholderWarning = !itemForce &&
+                checkOtherLanguagePlaceholders(layout, itemLang, item, namespacePriority, `${foundInNamespace}.${item.key}`);
             
-            // Write updated JSON
-            const pretty = JSON.stringify(foundData, null, 4);
-            fs.writeFileSync(foundFilePath, pretty, 'utf-8');
+            // Write the updated value, keeping the rest of the file as it is
+            const text = found.adapter.write(found.text, [{ key: found.fileKey, value: item.new }], { lang: itemLang, format });
+            fs.writeFileSync(foundFilePath, text, 'utf-8');
+            console.error(`[DEBUG] Updated ${foundInNamespace}.${item.key}: "${item.old}" -> "${item.new}"`);
+            applied.push({ key: item.key, ns: foundInNamespace, lang: itemLang });
+            if (placeholderWarning) warnings.push(placeholderWarning);
             
             // Track updated file
             if (!updatedFiles.includes(foundFilePath)) {
@@ -116,14 +176,33 @@ function updateI18n(config) {
             }
             
         } catch (error) {
-            errors.push(`Error updating ${foundInNamespace}.${item.key}: ${error.message}`);
+            fail(foundInNamespace, `Error updating ${foundInNamespace}.${item.key}: ${error.message}`);
         }
     });
     
+    // A write failed half-way through an all-or-nothing batch: put every file back
+    if (atomic && errors.length > 0) {
+        rollback(backups);
+        return {
+            success: false,
+            updatedFiles: [],
+            applied: [],
+            errors,
+            conflicts,
+            failed,
+            warnings: [],
+            message: `Rolled back: ${errors.length} error(s)`
+        };
+    }
+    
     return {
         success: errors.length === 0,
         updatedFiles,
+        applied,
         errors,
+        conflicts,
+        failed,
+        warnings,
         message: errors.length > 0 ? 
             `Completed with ${errors.length} error(s)` : 
             `Successfully updated ${updatedFiles.length} file(s)`
@@ -131,58 +210,213 @@ function updateI18n(config) {
 }
 
 /**
- * Check if a key exists in JSON data (supports dot notation)
- * @param {Object} jsonData - JSON object to search
- * @param {string} keyPath - Dot-separated path (e.g., "a.b.c")
- * @returns {boolean} True if key exists
+ * Structured description of an old value mismatch, so the editor can offer a resolution
+ * @param {Object} found - Lookup result (see findKey)
+ * @param {Object} item - Payload item
+ * @param {string} lang - Language of the item
+ * @param {*} current - Value now in the file
+ * @returns {Object} { key, ns, lang, current, expected, proposed }
  */
-function keyExists(jsonData, keyPath) {
-    const segments = keyPath.split('.');
-    let cursor = jsonData;
+function mismatchConflict(found, item, lang, current) {
+    return {
+        key: item.key,
+        ns: found.ns,
+        lang,
+        current: typeof current === 'string' ? current : String(current),
+        expected: item.old,
+        proposed: item.new
+    };
+}
+
+/**
+ * Dry run of a payload: report every item that would fail, without writing
+ * @param {Object} config - Configuration object (see updateI18n)
+ * @param {Array<Object>} items - Normalized payload items
+ * @returns {Object} { problems: error messages, conflicts, failed } (all empty if all items
+ *   would apply; see updateI18n)
+ */
+function checkItems(config, items) {
+    const { lang, force, namespaces } = config;
+    const layout = localeLayout(config);
+    const problems = [];
+    const conflicts = [];
+    const failed = [];
     
-    for (let i = 0; i < segments.length; i++) {
-        if (!cursor || typeof cursor !== 'object' || !cursor.hasOwnProperty(segments[i])) {
-            return false;
+    items.forEach(item => {
+        const itemForce = force || !!item.force;
+        const fail = (ns, error) => {
+            problems.push(error);
+            failed.push({ key: item.key, ns: ns || null, lang: item.lang || lang, error });
+        };
+        if (!item.new) {
+            fail(item.ns, `Skipping item without 'new' value: ${item.key}`);
+            return;
         }
-        cursor = cursor[segments[i]];
-    }
+        
+        const namespacePriority = resolveNamespaces(item.ns, namespaces);
+        const found = findKey(layout, item.lang || lang, item.key, namespacePriority);
+        
+        if (!found) {
+            if (!item.create) {
+                fail(item.ns, `Key not found in any namespace: ${item.key} (searched: ${namespacePriority.join(', ')})`);
+            } else if (!namespacePriority[0]) {
+                fail(null, `Cannot create ${item.key}: no namespace given`);
+            }
+            return;
+        }
+        
+        try {
+            const currentValue = lookupValue(found, found.fileKey);
+            const currentStr = typeof currentValue === 'string' ? currentValue : String(currentValue);
+            if (!itemForce && currentStr !== item.old) {
+                problems.push(`Mismatch for ${found.ns}.${item.key}: current="${currentStr}", expected="${item.old}"`);
+                conflicts.push(mismatchConflict(found, item, item.lang || lang, currentValue));
+                return;
+            }
+            const placeholders = comparePlaceholders(currentStr, item.new);
+            if (!itemForce && !placeholders.ok) {
+                fail(found.ns, `Placeholder mismatch for ${found.ns}.${item.key}: ${describePlaceholderProblems(placeholders)}`);
+            }
+        } catch (error) {
+            fail(found.ns, `Error updating ${found.ns}.${item.key}: ${error.message}`);
+        }
+    });
     
-    return true;
+    return { problems, conflicts, failed };
+}
+
+/**
+ * Placeholder check against the other languages: compare with the same key in the first
+ * other language that has it (for a key being created that is the only reference there is)
+ * Only which placeholders occur is compared, and a difference is a warning: a translation may
+ * legitimately repeat a name or leave {{count}} out of a plural form
+ * @param {Object} layout - Locale layout (see localeLayout)
+ * @param {string} lang - Language of the item
+ * @param {Object} item - Payload item
+ * @param {Array<string>} namespacePriority - Namespaces to search
+ * @param {string} label - How the key is named in the error, e.g. "new cart.title" or "common.cart.title"
+ * @returns {string|null} Warning message, or null if fine (or nothing to compare with)
+ */
+function checkOtherLanguagePlaceholders(layout, lang, item, namespacePriority, label) {
+    for (const otherLang of listLanguages(layout)) {
+        if (otherLang === lang) continue;
+        const found = findKey(layout, otherLang, item.key, namespacePriority);
+        if (!found) continue;
+        
+        const reference = lookupValue(found, found.fileKey);
+        const placeholders = comparePlaceholders(typeof reference === 'string' ? reference : '', item.new, { distinct: true });
+        return placeholders.ok ? null :
+            `Placeholders differ for ${label} (compared with ${otherLang}): ${describePlaceholderProblems(placeholders)}`;
+    }
+    return null;
+}
+
+/**
+ * Undo the writes of one updateI18n call
+ * @param {Map<string, string|null>} backups - File path -> backup taken before writing (null: file was created)
+ */
+function rollback(backups) {
+    for (const [filePath, backupPath] of backups) {
+        try {
+            if (backupPath) {
+                fs.copyFileSync(backupPath, filePath);
+            } else {
+                fs.unlinkSync(filePath);
+            }
+            console.error(`[DEBUG] Rolled back ${filePath}`);
+        } catch (error) {
+            console.error(`[DEBUG] Rollback failed for ${filePath}: ${error.message}`);
+        }
+    }
 }
 
 /**
- * Traverse JSON object path and return cursor for modification
- * @param {Object} jsonData - JSON object to traverse
+ * Insert a missing key into a namespace file, creating intermediate levels
+ * The file (and its directories) is created in the first root if it does not exist yet
+ * @param {Object} layout - Locale layout (see localeLayout)
+ * @param {string} lang - Language code
+ * @param {string} ns - Namespace file to insert into
  * @param {string} keyPath - Dot-separated path (e.g., "a.b.c")
- * @returns {Object} Cursor object with parent, key, and value properties
+ * @param {string} value - Value for the new key
+ * @param {Object} options - { backup, format }
+ * @param {Object|false} options.backup - Backup policy to back up an existing file before writing (false: no backup)
+ * @param {Object} [options.format] - JSON formatting overrides (see updateI18n)
+ * @returns {Object} { filePath, backupPath } (backupPath is null if the file was created)
  */
-function traversePath(jsonData, keyPath) {
-    const segments = keyPath.split('.');
-    let cursor = jsonData;
-    
-    // Navigate to parent object
-    for (let i = 0; i < segments.length - 1; i++) {
-        if (!cursor || typeof cursor !== 'object' || !cursor.hasOwnProperty(segments[i])) {
-            throw new Error(`Missing path segment '${segments[i]}' in path '${keyPath}'`);
+function createKey(layout, lang, ns, keyPath, value, { backup, format }) {
+    const filePath = checkPath(namespaceFilePath(layout, lang, ns));
+    const fileKey = keyInFile(layout, ns, keyPath);
+    let doc = null;
+    let backupPath = null;
+    
+    if (fs.existsSync(filePath)) {
+        doc = readLocaleFile(filePath, { lang, fileFormat: layout.fileFormat });
+        if (hasKey(doc, fileKey)) {
+            throw new Error(`Key '${keyPath}' already exists`);
         }
-        cursor = cursor[segments[i]];
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        console.error(`[DEBUG] Creating new namespace file: ${filePath}`);
     }
     
-    const lastKey = segments[segments.length - 1];
-    if (!cursor || typeof cursor !== 'object' || !cursor.hasOwnProperty(lastKey)) {
-        throw new Error(`Missing final key '${lastKey}' in path '${keyPath}'`);
+    const adapter = doc ? doc.adapter : adapterFor(filePath, layout.fileFormat);
+    const text = adapter.write(doc ? doc.text : null, [{ key: fileKey, value }], { lang, format });
+    if (doc && backup !== false) {
+        backupPath = createBackup(filePath, rootOf(layout, filePath), backup);
+    }
+    fs.writeFileSync(filePath, text, 'utf-8');
+    console.error(`[DEBUG] Created ${ns}.${keyPath}: "${value}"`);
+    return { filePath, backupPath };
+}
+
+/**
+ * Restore a locale file, or a single key in it, from one of its backups
+ * The current file is backed up first, so a restore can itself be undone
+ * @param {Object} config - Configuration object
+ * @param {string|Array<string>} config.root - Root directory for locales, or several
+ * @param {string} [config.pathTemplate] - Where files live under a root
+ * @param {string} config.lang - Language code
+ * @param {string} [config.ns] - Namespace of the file (or first namespace to search for key)
+ * @param {string} [config.key] - Restore only this key (dot-separated)
+ * @param {Array|string} [config.namespaces] - Fallback namespace chain
+ * @param {string} config.backupName - Backup file name as returned by listBackups
+ * @param {Object} [config.backup] - Backup policy
+ * @param {Object} [config.format] - JSON formatting overrides
+ * @param {string} [config.fileFormat] - File format name (default: by extension)
+ * @returns {Object} Result object with success status and details
+ */
+function restoreBackup(config) {
+    const { lang, key, backupName, backup, format, fileFormat } = config;
+    const { ns, root, filePath, fileKey } = resolveLocaleFile(config);
+    checkPath(filePath);
+    const source = findBackup(filePath, root, backup, backupName);
+    
+    if (key) {
+        const value = backupValue(source.path, fileKey, { lang, fileFormat });
+        if (value === null) {
+            throw new Error(`Key ${key} does not exist in backup ${backupName}`);
+        }
+        const doc = readLocaleFile(filePath, { lang, fileFormat });
+        const text = doc.adapter.write(doc.text, [{ key: fileKey, value }], { lang, format });
+        createBackup(filePath, root, backup);
+        fs.writeFileSync(filePath, text, 'utf-8');
+        console.error(`[DEBUG] Restored ${ns}.${key} from ${backupName}`);
+    } else {
+        createBackup(filePath, root, backup);
+        fs.copyFileSync(source.path, filePath);
+        console.error(`[DEBUG] Restored ${lang}/${path.basename(filePath)} from ${backupName}`);
     }
     
     return {
-        parent: cursor,
-        key: lastKey,
-        get value() { return cursor[lastKey]; },
-        set value(val) { cursor[lastKey] = val; }
+        success: true,
+        updatedFiles: [filePath],
+        errors: [],
+        message: key ? `Restored ${key} from ${backupName}` : `Restored ${path.basename(filePath)} from ${backupName}`
     };
 }
 
 // Export for use in native messaging host
-module.exports = { updateI18n };
+module.exports = { updateI18n, restoreBackup };
 
 // If run directly (for testing), read from stdin
 if (require.main === module) {
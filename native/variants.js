@@ -0,0 +1,105 @@
+// variants.js - i18next plural and context suffix keys
+// A base key "items" is resolved from siblings such as items_one, items_other,
+// items_ordinal_few, friend_male or friend_male_other in the same object.
+
+const { localeLayout, keyInFile, namespaceFiles, getNestedValue } = require('./locale-resolver');
+const { readLocaleFile } = require('./formats');
+
+// CLDR plural categories, in display order
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// [context_][ordinal_]category, where context is optional and matched as short as possible
+const PLURAL_SUFFIX_RE = /^(?:(.+?)_)??(?:(ordinal)_)?(zero|one|two|few|many|other)$/;
+
+/**
+ * Plural categories a language needs (CLDR, via Intl.PluralRules)
+ * @param {string} lang - Language code (e.g. "ru", "pt-BR")
+ * @returns {Object} { cardinal, ordinal } category lists in display order
+ */
+function pluralCategories(lang) {
+    const resolve = (type) => {
+        try {
+            const categories = new Intl.PluralRules(lang, { type }).resolvedOptions().pluralCategories;
+            return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+        } catch (error) {
+            console.error(`[DEBUG] No plural rules for ${lang}: ${error.message}`);
+            return ['one', 'other'];
+        }
+    };
+    return { cardinal: resolve('cardinal'), ordinal: resolve('ordinal') };
+}
+
+/**
+ * Parse the suffix of a sibling key (the part after "base_")
+ * @param {string} suffix - e.g. "one", "ordinal_few", "male", "male_other"
+ * @returns {Object} { context, ordinal, category } where context/category may be null
+ */
+function parseSuffix(suffix) {
+    const m = PLURAL_SUFFIX_RE.exec(suffix);
+    if (!m) {
+        return { context: suffix, ordinal: false, category: null };
+    }
+    return { context: m[1] || null, ordinal: !!m[2], category: m[3] };
+}
+
+/**
+ * Find the plural/context variants of a key in parsed locale data
+ * @param {Object} data - Locale file JSON (or the data of a flat format)
+ * @param {string} key - Dot-separated base key (e.g. "cart.items")
+ * @param {boolean} [nested] - Whether data is nested (false: keys are flat, "cart.items_one")
+ * @returns {Array<Object>} [{ key, suffix, context, ordinal, category, value }], sorted by
+ *   context, then cardinal before ordinal, then CLDR category order
+ */
+function findVariants(data, key, nested = true) {
+    const segments = nested ? key.split('.') : [key];
+    const base = segments.pop();
+    const parent = segments.length > 0 ? getNestedValue(data, segments.join('.')) : data;
+    if (!parent || typeof parent !== 'object') {
+        return [];
+    }
+
+    const prefix = `${base}_`;
+    const parentPath = segments.length > 0 ? `${segments.join('.')}.` : '';
+    return Object.keys(parent)
+        .filter(name => name.startsWith(prefix) && name.length > prefix.length && typeof parent[name] === 'string')
+        .map((name) => {
+            const suffix = name.slice(prefix.length);
+            return { key: `${parentPath}${name}`, suffix, ...parseSuffix(suffix), value: parent[name] };
+        })
+        .sort((a, b) => (a.context || '').localeCompare(b.context || '') ||
+            Number(a.ordinal) - Number(b.ordinal) ||
+            PLURAL_CATEGORIES.indexOf(a.category) - PLURAL_CATEGORIES.indexOf(b.category));
+}
+
+/**
+ * Find the first namespace file holding variants of a key
+ * @param {Object|string} layout - Locale layout (see localeLayout)
+ * @param {string} lang - Language code
+ * @param {string} key - Dot-separated base key
+ * @param {Array<string>} namespaces - Namespaces in search order (see resolveNamespaces)
+ * @returns {Object|null} { ns, filePath, variants } or null if there are none
+ *   (variant keys are relative to the namespace, like key)
+ */
+function findVariantFile(layout, lang, key, namespaces) {
+    layout = localeLayout(layout);
+    for (const ns of namespaces) {
+        const fileKey = keyInFile(layout, ns, key);
+        const prefix = fileKey.slice(0, fileKey.length - key.length);
+        for (const { filePath } of namespaceFiles(layout, lang, ns)) {
+            try {
+                const doc = readLocaleFile(filePath, { lang, fileFormat: layout.fileFormat });
+                const variants = findVariants(doc.data, fileKey, doc.adapter.nested)
+                    .map(variant => ({ ...variant, key: variant.key.slice(prefix.length) }));
+                if (variants.length > 0) {
+                    console.error(`[DEBUG] ${variants.length} variant(s) of ${key} found in ${filePath}`);
+                    return { ns, filePath, variants };
+                }
+            } catch (error) {
+                console.error(`[DEBUG] Error reading ${filePath}: ${error.message}`);
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = { PLURAL_CATEGORIES, pluralCategories, parseSuffix, findVariants, findVariantFile };
@@ -0,0 +1,69 @@
+import type { i18n as I18n } from "i18next";
+
+/**
+ * Payload of the `i18n-editor:updated` window event, dispatched by the extension
+ * once per saved key, in every open tab of the same host.
+ */
+export interface I18nEditorUpdate {
+    key: string;
+    ns: string;
+    lang: string;
+    value: string;
+}
+
+export interface I18nHotReloadOptions {
+    /**
+     * Re-fetch the namespace through the configured backend (i18next-http-backend etc.)
+     * instead of patching the in-memory resources with the saved value.
+     */
+    reload?: boolean;
+}
+
+/**
+ * Show translations saved in the editor without reloading the page.
+ * Activate once after i18n is initialized; returns a function that uninstalls it
+ * (a no-op outside development, where nothing is installed).
+ */
+export function installI18nHotReload(i18n: I18n, options: I18nHotReloadOptions = {}): () => void {
+    if (process.env.NODE_ENV !== "development") return () => {};
+
+    const pending = new Map<string, { lang: string; ns: string }>();
+    let scheduled = false;
+
+    // Several keys are saved at once by batch commits: re-render once for all of them
+    const flush = async () => {
+        scheduled = false;
+        const targets = [...pending.values()];
+        pending.clear();
+
+        if (options.reload) {
+            await i18n.reloadResources(
+                [...new Set(targets.map((t) => t.lang))],
+                [...new Set(targets.map((t) => t.ns))],
+            );
+        }
+        // Re-emits "languageChanged", which makes react-i18next re-render
+        if (targets.some((t) => i18n.languages?.includes(t.lang))) {
+            await i18n.changeLanguage(i18n.language);
+        }
+    };
+
+    const onUpdated = (event: Event) => {
+        const update = (event as CustomEvent<I18nEditorUpdate>).detail;
+        if (!update || !update.key || !update.ns || !update.lang) return;
+
+        if (!options.reload) {
+            i18n.addResource(update.lang, update.ns, update.key, update.value);
+        }
+        pending.set(`${update.lang}|${update.ns}`, { lang: update.lang, ns: update.ns });
+
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+            flush().catch((err) => console.error("[i18n-hot-reload] Reload failed:", err));
+        }, 0);
+    };
+
+    window.addEventListener("i18n-editor:updated", onUpdated);
+    return () => window.removeEventListener("i18n-editor:updated", onUpdated);
+}
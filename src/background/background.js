@@ -1,15 +1,27 @@
 // Background Service Worker for i18n Editor Extension
 
+// PROFILE_FIELDS and profileMatches, shared with the popup
+importScripts('../common/profiles.js');
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const rejection = checkRequest(request, sender);
+  if (rejection) {
+    console.warn('Rejected request:', rejection, sender.url);
+    sendResponse({ success: false, error: rejection });
+    return false;
+  }
+
   if (request.type === 'UPDATE_TRANSLATION') {
-    handleTranslationUpdate(request, sendResponse);
+    handleTranslationUpdate(request, sender, sendResponse);
     return true; // keep message channel open
   }
 
   if (request.type === 'GET_CONFIG') {
-    chrome.storage.sync.get(['root', 'lang', 'force'], (config) => {
-      sendResponse(config);
-    });
+    // Effective settings for a page: global settings overlaid with its profile
+    Promise.all([
+      loadConfig(request.url || sender.tab?.url),
+      new Promise((resolve) => chrome.storage.sync.get(['nativeConnection', 'autoAdvance'], resolve)),
+    ]).then(([config, globals]) => sendResponse({ ...config, ...globals }));
     return true;
   }
 
@@ -21,69 +33,420 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
   
   if (request.type === 'GET_TEMPLATE') {
-    handleGetTemplate(request, sendResponse);
+    handleGetTemplate(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'SEARCH_LOCALES') {
+    handleSearch(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'LOCATE_KEYS') {
+    handleLocateKeys(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.type in BACKUP_ACTIONS) {
+    handleBackupAction(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.type in GIT_ACTIONS) {
+    handleGitAction(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EXPORT_TRANSLATIONS' || request.type === 'IMPORT_TRANSLATIONS') {
+    handleExchange(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'CHECK_ROOT') {
+    handleCheckRoot(request, sendResponse);
     return true;
   }
 });
 
-async function handleTranslationUpdate(request, sendResponse) {
+// Requests a tab may send (bridge.js relaying the page); all others come from extension pages
+const TAB_REQUESTS = ['UPDATE_TRANSLATION', 'GET_TEMPLATE', 'LOCATE_KEYS', 'GET_CONFIG'];
+
+// Shapes of the tab requests. Page scripts share the content script's world, so everything
+// here is untrusted: unknown fields are refused, and ns/lang (used in file paths) are restricted.
+const KEY_RULE = { type: 'string', required: true, minLength: 1, maxLength: 500 };
+const NS_RULE = { type: 'string', nullable: true, maxLength: 100, pattern: /^(?![/.])(?!.*\.\.)[\w@.\-/]*$/ };
+const LANG_RULE = { type: 'string', pattern: /^[A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{1,8})*$/ };
+const VALUE_RULE = { type: 'string', maxLength: 100000 };
+
+const REQUEST_SCHEMAS = {
+  UPDATE_TRANSLATION: {
+    payload: {
+      type: 'array', required: true, minItems: 1, maxItems: 500,
+      items: {
+        type: 'object',
+        fields: {
+          key: KEY_RULE,
+          ns: NS_RULE,
+          lang: LANG_RULE,
+          old: { ...VALUE_RULE, nullable: true },
+          new: { ...VALUE_RULE, required: true },
+          create: { type: 'boolean' },
+          force: { type: 'boolean' },
+        },
+      },
+    },
+    lang: LANG_RULE,
+    atomic: { type: 'boolean' },
+  },
+  GET_TEMPLATE: {
+    key: KEY_RULE,
+    ns: NS_RULE,
+    allLangs: { type: 'boolean' },
+  },
+  LOCATE_KEYS: {
+    keys: {
+      type: 'array', required: true, maxItems: 5000,
+      items: { type: 'object', fields: { key: KEY_RULE, ns: NS_RULE } },
+    },
+  },
+  GET_CONFIG: {
+    url: { type: 'string', maxLength: 2000 },
+  },
+};
+
+// Reason to refuse a request, or null: only our own extension, tabs only for tab requests,
+// and tab requests must match their schema
+function checkRequest(request, sender) {
+  if (sender.id !== chrome.runtime.id) return 'Unknown sender';
+  if (!request || typeof request.type !== 'string') return 'Invalid request';
+  if (!sender.tab) return null;
+
+  if (!TAB_REQUESTS.includes(request.type)) return `${request.type} is not available to pages`;
+  return schemaError(request, { type: 'object', fields: { type: { type: 'string' }, ...REQUEST_SCHEMAS[request.type] } }, 'request');
+}
+
+// First way value breaks rule, as a message (null when it fits)
+// Rules: { type, required, nullable, minLength, maxLength, pattern, minItems, maxItems, items, fields }
+function schemaError(value, rule, name) {
+  if (value === undefined) return rule.required ? `${name} is required` : null;
+  if (value === null && rule.nullable) return null;
+
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (type !== rule.type) return `${name} must be a ${rule.type}`;
+
+  if (type === 'string') {
+    if (value.length < (rule.minLength || 0) || value.length > (rule.maxLength ?? Infinity)) {
+      return `${name} has an invalid length`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return `${name} is not allowed: ${JSON.stringify(value.slice(0, 50))}`;
+  }
+
+  if (type === 'array') {
+    if (value.length < (rule.minItems || 0) || value.length > (rule.maxItems ?? Infinity)) {
+      return `${name} must have ${rule.minItems || 0} to ${rule.maxItems} items`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const error = schemaError(value[i], rule.items, `${name}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  if (type === 'object') {
+    const unknown = Object.keys(value).find((field) => !(field in rule.fields));
+    if (unknown) return `${name}.${unknown} is not expected`;
+    for (const [field, fieldRule] of Object.entries(rule.fields)) {
+      const error = schemaError(value[field], fieldRule, `${name}.${field}`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Origins pages may save from unless the settings say otherwise (any port)
+const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:*', 'http://127.0.0.1:*', 'http://[::1]:*'];
+
+// May this tab write locale files? Its origin must match an allowed pattern
+// (same syntax as profile patterns, matched against the origin only)
+async function originAllowed(sender) {
+  let origin;
   try {
-    const config = await new Promise((resolve) =>
-      chrome.storage.sync.get(['root', 'lang', 'force'], resolve)
-    );
+    origin = sender.origin && sender.origin !== 'null' ? sender.origin : new URL(sender.tab.url).origin;
+  } catch {
+    return false;
+  }
+  const { allowedOrigins } = await new Promise((resolve) =>
+    chrome.storage.sync.get(['allowedOrigins'], resolve)
+  );
+  const patterns = allowedOrigins && allowedOrigins.length > 0 ? allowedOrigins : DEFAULT_ALLOWED_ORIGINS;
+  return patterns.some((pattern) => profileMatches(pattern, origin));
+}
+
+// Popup backup requests -> native host actions
+const BACKUP_ACTIONS = {
+  LIST_BACKUPS: 'list_backups',
+  DIFF_BACKUP: 'diff_backup',
+  RESTORE_BACKUP: 'restore_backup',
+};
+
+// Popup git requests -> native host actions
+const GIT_ACTIONS = {
+  GIT_STATUS: 'git_status',
+  GIT_DIFF: 'git_diff',
+  GIT_COMMIT: 'git_commit',
+};
+
+// Global settings, overlaid with the first profile matching the page URL
+// The result's profile field names the profile in use (undefined: global settings)
+async function loadConfig(url) {
+  const config = await new Promise((resolve) =>
+    chrome.storage.sync.get([...PROFILE_FIELDS, 'profiles'], resolve)
+  );
+
+  const profile = url ? (config.profiles || []).find((p) => p.match && profileMatches(p.match, url)) : null;
+  delete config.profiles;
+  if (profile) {
+    for (const field of PROFILE_FIELDS) {
+      if (profile[field] !== undefined) config[field] = profile[field];
+    }
+    config.profile = profile.name;
+  }
+  return config;
+}
+
+// Page the request is about: the sender tab, or the active tab the popup passes along
+function requestUrl(request, sender) {
+  return sender?.tab?.url || request.url;
+}
+
+const NATIVE_HOST = 'com.i18ntexteditor.host';
+
+// Persistent connection: one native host process serves many requests,
+// matched to responses by requestId. Reconnects lazily on the next request.
+const NATIVE_REQUEST_TIMEOUT_MS = 30000;
+const NATIVE_IDLE_DISCONNECT_MS = 5 * 60 * 1000;
+
+let nativePort = null;
+let nextRequestId = 1;
+let idleTimer = null;
+const pendingRequests = new Map();
+
+function getNativePort() {
+  if (nativePort) return nativePort;
+
+  const port = chrome.runtime.connectNative(NATIVE_HOST);
+
+  port.onMessage.addListener((response) => {
+    const pending = pendingRequests.get(response?.requestId);
+    if (!pending) {
+      console.warn('Native host response without matching request:', response);
+      // An error the host could not tie to a request (e.g. an unreadable message): any
+      // pending request may be the one that failed, so fail them all now and start over
+      if (response?.success === false && (response.requestId === null || response.requestId === undefined)) {
+        port.disconnect();
+        closePort(port, response.error || 'Native host error');
+      }
+      return;
+    }
+    pendingRequests.delete(response.requestId);
+    clearTimeout(pending.timer);
+    const { requestId, ...rest } = response;
+    pending.resolve(rest);
+    scheduleIdleDisconnect();
+  });
+
+  port.onDisconnect.addListener(() => {
+    const reason = chrome.runtime.lastError?.message || 'Native host disconnected';
+    console.warn('Native host port disconnected:', reason);
+    closePort(port, reason);
+  });
 
-    // Always use the configured language from extension settings
-    const targetLang = config.lang || 'de';
+  nativePort = port;
+  return port;
+}
+
+// Forget a closed port; requests in flight on it cannot be answered any more
+function closePort(port, reason) {
+  if (nativePort === port) nativePort = null;
+  for (const [id, pending] of pendingRequests) {
+    clearTimeout(pending.timer);
+    pending.reject(new Error(reason));
+    pendingRequests.delete(id);
+  }
+}
+
+// Close an unused connection so the Node process does not linger
+function scheduleIdleDisconnect() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    if (nativePort && pendingRequests.size === 0) {
+      nativePort.disconnect();
+      nativePort = null;
+    }
+  }, NATIVE_IDLE_DISCONNECT_MS);
+}
+
+function sendOverPort(message) {
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    const timer = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      reject(new Error('Timeout waiting for native host'));
+    }, NATIVE_REQUEST_TIMEOUT_MS);
+
+    pendingRequests.set(requestId, { resolve, reject, timer });
+    clearTimeout(idleTimer);
+
+    try {
+      getNativePort().postMessage({ ...message, requestId });
+    } catch (err) {
+      pendingRequests.delete(requestId);
+      clearTimeout(timer);
+      nativePort = null;
+      reject(err);
+    }
+  });
+}
+
+// One-shot: spawn a host process for this message only
+function sendOneShot(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendNativeMessage(NATIVE_HOST, message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// Send one message to the native host and resolve with its response
+// Uses the persistent connection unless one-shot mode is configured
+async function sendToNativeHost(message) {
+  const { nativeConnection } = await new Promise((resolve) =>
+    chrome.storage.sync.get(['nativeConnection'], resolve)
+  );
+  return nativeConnection === 'oneshot' ? sendOneShot(message) : sendOverPort(message);
+}
+
+async function handleTranslationUpdate(request, sender, sendResponse) {
+  try {
+    if (sender.tab && !(await originAllowed(sender))) {
+      const origin = sender.origin || sender.tab.url;
+      console.warn('Save refused for origin:', origin);
+      sendResponse({ success: false, error: `Saving is not allowed from ${origin} - add it to "Origins allowed to save" in the extension settings` });
+      return;
+    }
+
+    const config = await loadConfig(requestUrl(request, sender));
+
+    // Use the configured language from extension settings unless the editor
+    // targets another language explicitly (side-by-side editing)
+    const targetLang = request.lang || config.lang || 'de';
 
     const message = {
       root: config.root || 'src/assets/locales',
       lang: targetLang,
       force: !!config.force,
+      namespaces: config.namespaces,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+      format: config.format,
+      backup: config.backup,
+      atomic: !!request.atomic,
       payload: request.payload,
     };
 
-    chrome.runtime.sendNativeMessage('com.i18ntexteditor.host', message, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error('Native messaging error:', chrome.runtime.lastError.message);
-        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-        return;
-      }
+    let response;
+    try {
+      response = await sendToNativeHost(message);
+    } catch (err) {
+      console.error('Native messaging error:', err.message);
+      sendResponse({ success: false, error: err.message });
+      return;
+    }
 
-      if (!response) {
-        console.error('No response received from native host');
-        sendResponse({ success: false, error: 'No response from native host' });
-        return;
-      }
+    if (!response) {
+      console.error('No response received from native host');
+      sendResponse({ success: false, error: 'No response from native host' });
+      return;
+    }
 
-      sendResponse(response);
-    });
+    sendResponse(response);
+
+    if (response.success) {
+      broadcastUpdates(sender, request.payload.map((item) => ({
+        key: item.key,
+        ns: item.ns,
+        lang: item.lang || targetLang,
+        value: item.new,
+      })));
+    }
   } catch (err) {
     console.error('Error handling translation update:', err);
     sendResponse({ success: false, error: `Communication error: ${err.message}` });
   }
 }
 
-async function handleGetTemplate(request, sendResponse) {
+// Tell every tab of the sender's host about saved values, so the app can hot-reload them
+async function broadcastUpdates(sender, updates) {
+  const hostOf = (url) => {
+    try {
+      return new URL(url).host;
+    } catch {
+      return null;
+    }
+  };
+
+  const host = sender?.tab?.url ? hostOf(sender.tab.url) : null;
+  if (!host) return;
+
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (!tab.url || hostOf(tab.url) !== host) continue;
+    chrome.tabs.sendMessage(tab.id, { action: 'translationsUpdated', updates }).catch((err) => {
+      console.warn(`Tab ${tab.id} not reachable:`, err.message);
+    });
+  }
+}
+
+async function handleGetTemplate(request, sender, sendResponse) {
   try {
-    const config = await new Promise((resolve) =>
-      chrome.storage.sync.get(['root', 'lang'], resolve)
-    );
+    const config = await loadConfig(requestUrl(request, sender));
 
+    const lang = config.lang || 'de';
     const message = {
       root: config.root || 'src/assets/locales',
-      lang: config.lang || 'de',
+      lang: lang,
       key: request.key,
+      ns: request.ns,
+      namespaces: config.namespaces,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+      fallbackLang: config.fallbackLang || 'en',
+      allLangs: !!request.allLangs,
       action: 'get_template',
     };
 
-    chrome.runtime.sendNativeMessage('com.i18ntexteditor.host', message, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error('Native messaging error:', chrome.runtime.lastError.message);
-        sendResponse({ template: null });
-        return;
-      }
+    let response;
+    try {
+      response = await sendToNativeHost(message);
+    } catch (err) {
+      console.error('Native messaging error:', err.message);
+      sendResponse({ template: null, lang });
+      return;
+    }
 
-      sendResponse({ template: response?.template || null });
+    sendResponse({
+      template: response?.template ?? null,
+      templates: response?.templates || null,
+      missing: !!response?.missing,
+      namespaceFiles: response?.namespaceFiles || [],
+      fallback: response?.fallback || null,
+      variants: response?.variants || [],
+      variantNs: response?.variantNs || null,
+      pluralCategories: response?.pluralCategories || null,
+      lang,
     });
   } catch (err) {
     console.error('Error getting template:', err);
@@ -91,6 +454,146 @@ async function handleGetTemplate(request, sendResponse) {
   }
 }
 
+async function handleSearch(request, sender, sendResponse) {
+  try {
+    const config = await loadConfig(requestUrl(request, sender));
+
+    const response = await sendToNativeHost({
+      action: 'search',
+      root: config.root || 'src/assets/locales',
+      query: request.query,
+      langs: request.langs,
+      limit: request.limit,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+    });
+    sendResponse(response || { success: false, error: 'No response from native host' });
+  } catch (err) {
+    console.error('Error searching locales:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function handleLocateKeys(request, sender, sendResponse) {
+  try {
+    const config = await loadConfig(requestUrl(request, sender));
+
+    const response = await sendToNativeHost({
+      action: 'locate_keys',
+      root: config.root || 'src/assets/locales',
+      lang: config.lang || 'de',
+      namespaces: config.namespaces,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+      keys: request.keys,
+    });
+    sendResponse(response || { success: false, error: 'No response from native host' });
+  } catch (err) {
+    console.error('Error locating keys:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function handleBackupAction(request, sender, sendResponse) {
+  try {
+    const config = await loadConfig(requestUrl(request, sender));
+
+    const message = {
+      action: BACKUP_ACTIONS[request.type],
+      root: config.root || 'src/assets/locales',
+      lang: request.lang || config.lang || 'de',
+      namespaces: config.namespaces,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+      format: config.format,
+      backup: config.backup,
+      ns: request.ns,
+      key: request.key,
+      backupName: request.backupName,
+    };
+
+    const response = await sendToNativeHost(message);
+    sendResponse(response || { success: false, error: 'No response from native host' });
+  } catch (err) {
+    console.error('Error handling backup request:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// Git state, diff or commit of the files behind a tab's edits ({ key, ns, lang } from its history)
+async function handleGitAction(request, sender, sendResponse) {
+  try {
+    const config = await loadConfig(requestUrl(request, sender));
+
+    const response = await sendToNativeHost({
+      action: GIT_ACTIONS[request.type],
+      root: config.root || 'src/assets/locales',
+      lang: config.lang || 'de',
+      namespaces: config.namespaces,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+      edits: request.edits,
+      branch: !!request.branch,
+    });
+    sendResponse(response || { success: false, error: 'No response from native host' });
+  } catch (err) {
+    console.error('Error handling git request:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// Translator exchange for the popup: export keys of a page or session, import the translated file
+async function handleExchange(request, sender, sendResponse) {
+  try {
+    const config = await loadConfig(requestUrl(request, sender));
+
+    const message = {
+      root: config.root || 'src/assets/locales',
+      lang: config.lang || 'de',
+      namespaces: config.namespaces,
+      pathTemplate: config.pathTemplate,
+      fileFormat: config.fileFormat,
+      exchangeFormat: request.exchangeFormat,
+    };
+    const response = await sendToNativeHost(request.type === 'EXPORT_TRANSLATIONS' ? {
+      ...message,
+      action: 'export_translations',
+      sourceLang: config.fallbackLang || 'en',
+      keys: request.keys,
+      context: request.url,
+    } : {
+      ...message,
+      action: 'import_translations',
+      content: request.content,
+      backup: config.backup,
+      format: config.format,
+    });
+    sendResponse(response || { success: false, error: 'No response from native host' });
+
+    // Let open pages of the app hot-reload the imported values
+    if (response?.applied?.length > 0) {
+      broadcastUpdates({ tab: { url: request.url } }, response.applied);
+    }
+  } catch (err) {
+    console.error('Error handling translation exchange:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// Are the root directories the popup is about to save inside the native host's allowlist?
+async function handleCheckRoot(request, sendResponse) {
+  try {
+    const response = await sendToNativeHost({
+      action: 'check_root',
+      root: request.root,
+    });
+    sendResponse(response || { success: false, error: 'No response from native host' });
+  } catch (err) {
+    console.error('Error checking root:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
 // Initialize default settings on install
 chrome.runtime.onInstalled.addListener((details) => {
   chrome.storage.sync.get(['root', 'lang', 'force'], (config) => {
@@ -99,6 +602,8 @@ chrome.runtime.onInstalled.addListener((details) => {
         root: 'src/assets/locales',
         lang: 'de',
         force: false,
+        namespaces: ['reviewed', 'old'],
+        fallbackLang: 'en',
       });
     }
   });
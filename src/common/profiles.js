@@ -0,0 +1,16 @@
+// profiles.js - Per-site settings profiles, shared by the background worker (importScripts)
+// and the popup (script tag), so both pick the same profile for a page
+
+// Settings a per-site profile can override; the others (connection, auto-advance) stay global
+const PROFILE_FIELDS = ['root', 'lang', 'force', 'namespaces', 'fallbackLang', 'format', 'fileFormat', 'pathTemplate', 'backup'];
+
+// Does a profile's match pattern cover a URL?
+// Patterns are an origin or URL prefix ("http://localhost:3001", "localhost:3001/admin")
+// or contain * wildcards ("http://localhost:*/admin/*")
+function profileMatches(pattern, url) {
+    const normalized = pattern.includes('://') ? pattern.trim() : `*://${pattern.trim()}`;
+    const regex = normalized.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    // Prefix match on a boundary, so :3000 does not match :30001
+    const boundary = normalized.endsWith('*') || normalized.endsWith('/') ? '' : '(?:[/?#]|$)';
+    return new RegExp(`^${regex}${boundary}`).test(url);
+}
@@ -1,52 +1,140 @@
 // bridge.js - Bridge between page context and extension context
 // This runs in the content script context (isolated world)
+//
+// Page channel: a MessageChannel. Its second port is transferred to content-script.js
+// (MAIN world) once, with an i18n-editor-connect window message; nothing secret is ever
+// broadcast on the window. Both scripts run at document_start, before any page script, so
+// the editor takes the port before the page can listen for it. Requests carry a requestId
+// their response echoes. background.js still validates payloads and only lets allowed
+// origins write.
+
+const PAGE_ORIGIN = window.location.origin === 'null' ? '*' : window.location.origin;
+const channel = new MessageChannel();
+const pagePort = channel.port1;
+const pageListeners = new Set();
+let nextRequestId = 1;
+
+// Post to the page context
+function postToPage(message) {
+    pagePort.postMessage(message);
+}
+
+// Answer a page request
+function replyToPage(request, message) {
+    postToPage({ ...message, requestId: request.requestId });
+}
+
+pagePort.onmessage = (event) => {
+    if (!event.data || typeof event.data !== 'object') return;
+    pageListeners.forEach(listener => listener(event.data));
+};
 
 // Listen for messages from the page context
-window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    
-    if (event.data.type === 'i18n-editor-update') {
+pageListeners.add((data) => {
+    if (data.type === 'i18n-editor-update') {
         // Forward to background script (language comes from extension config)
         chrome.runtime.sendMessage({
             type: 'UPDATE_TRANSLATION',
-            payload: event.data.payload
+            payload: data.payload,
+            lang: data.lang,
+            atomic: data.atomic
         }, (response) => {
             // Send response back to page context
-            window.postMessage({
+            replyToPage(data, {
                 type: 'i18n-editor-update-response',
                 response: response
-            }, '*');
+            });
         });
     }
     
-    if (event.data.type === 'i18n-editor-persist-state') {
+    if (data.type === 'i18n-editor-persist-state') {
         // Store enabled state per tab
         chrome.storage.local.set({
-            [`i18n-editor-enabled-${getTabKey()}`]: event.data.enabled
+            [`i18n-editor-enabled-${getTabKey()}`]: data.enabled
         });
     }
     
-    if (event.data.type === 'i18n-editor-restore-state') {
+    if (data.type === 'i18n-editor-restore-state') {
         // Restore enabled state for this tab
         chrome.storage.local.get([`i18n-editor-enabled-${getTabKey()}`], (result) => {
             const enabled = result[`i18n-editor-enabled-${getTabKey()}`] || false;
-            window.postMessage({
+            postToPage({
                 type: 'i18n-editor-state-restored',
                 enabled: enabled
-            }, '*');
+            });
+        });
+    }
+    
+    if (data.type === 'i18n-editor-get-settings') {
+        // Page-side preferences from the popup
+        chrome.storage.sync.get(['autoAdvance'], (result) => {
+            postToPage({
+                type: 'i18n-editor-settings',
+                settings: { autoAdvance: !!result.autoAdvance }
+            });
+        });
+    }
+    
+    if (data.type === 'i18n-editor-queue-save') {
+        // Pending batch edits survive page reloads
+        chrome.storage.local.set({
+            [`i18n-editor-queue-${getTabKey()}`]: data.queue
         });
     }
     
-    if (event.data.type === 'i18n-editor-get-template') {
+    if (data.type === 'i18n-editor-queue-load') {
+        chrome.storage.local.get([`i18n-editor-queue-${getTabKey()}`], (result) => {
+            postToPage({
+                type: 'i18n-editor-queue-loaded',
+                queue: result[`i18n-editor-queue-${getTabKey()}`] || null
+            });
+        });
+    }
+    
+    if (data.type === 'i18n-editor-locate-keys') {
+        // Source file of each key, for the highlight overlay
+        chrome.runtime.sendMessage({
+            type: 'LOCATE_KEYS',
+            keys: data.keys
+        }, (response) => {
+            replyToPage(data, {
+                type: 'i18n-editor-locate-response',
+                locations: response?.locations || [],
+                error: response?.success === false ? (response.error || 'Lookup failed') : undefined
+            });
+        });
+    }
+    
+    if (data.type === 'i18n-editor-get-template') {
         // Request template from background script
         chrome.runtime.sendMessage({
             type: 'GET_TEMPLATE',
-            key: event.data.key
+            key: data.key,
+            ns: data.ns,
+            allLangs: data.allLangs
         }, (response) => {
-            window.postMessage({
+            replyToPage(data, {
+                ...response,
                 type: 'i18n-editor-template-response',
-                template: response?.template || null
-            }, '*');
+                key: data.key,
+                ns: data.ns,
+                template: response?.template ?? null,
+                templates: response?.templates || null,
+                lang: response?.lang || null
+            });
+        });
+    }
+});
+
+// Hand the other port to content-script.js (exactly once)
+window.postMessage({ type: 'i18n-editor-connect' }, PAGE_ORIGIN, [channel.port2]);
+
+// Push preference changes from the popup to the page
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes.autoAdvance) {
+        postToPage({
+            type: 'i18n-editor-settings',
+            settings: { autoAdvance: !!changes.autoAdvance.newValue }
         });
     }
 });
@@ -60,35 +148,104 @@ function getTabKey() {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'toggle') {
         // Forward to page context
-        window.postMessage({
+        postToPage({
             type: 'i18n-editor-toggle',
             enabled: request.enabled
-        }, '*');
+        });
         sendResponse({ success: true });
         return false; // Synchronous response
     }
     
+    if (request.action === 'translationsUpdated') {
+        // Saved values (from this or another tab): the page dispatches i18n-editor:updated
+        postToPage({
+            type: 'i18n-editor-translations-updated',
+            updates: request.updates
+        });
+        return false;
+    }
+    
     if (request.action === 'status') {
         // Check status in page context
-        window.postMessage({
-            type: 'i18n-editor-status-request'
-        }, '*');
-        
-        // Listen for response
-        const listener = (event) => {
-            if (event.data.type === 'i18n-editor-status-response') {
-                window.removeEventListener('message', listener);
-                sendResponse({ enabled: event.data.enabled });
-            }
+        askPage({ type: 'i18n-editor-status-request' }, 'i18n-editor-status-response', 1000)
+            .then((data) => sendResponse({ enabled: data ? data.enabled : false, overlay: data ? !!data.overlay : false }));
+        return true; // Async response
+    }
+    
+    if (request.action === 'reveal') {
+        // Search result: scroll to the tagged element or open the editor
+        askPage({
+            type: 'i18n-editor-reveal',
+            key: request.key,
+            ns: request.ns,
+            value: request.value,
+            edit: !!request.edit
+        }, 'i18n-editor-reveal-response', 1000)
+            .then((data) => sendResponse(data ?
+                { success: true, found: data.found } :
+                { success: false, error: 'No response from page' }));
+        return true; // Async response
+    }
+    
+    if (request.action === 'audit') {
+        askPage({ type: 'i18n-editor-audit-toggle' }, 'i18n-editor-audit-status', 3000)
+            .then((data) => sendResponse(data ?
+                { success: true, audit: data.audit, count: data.count } :
+                { success: false, error: 'No response from page' }));
+        return true; // Async response
+    }
+    
+    if (request.action === 'overlay') {
+        askPage({ type: 'i18n-editor-overlay-toggle' }, 'i18n-editor-overlay-status', 1000)
+            .then((data) => sendResponse(data ?
+                { success: true, overlay: data.overlay } :
+                { success: false, error: 'No response from page' }));
+        return true; // Async response
+    }
+    
+    if (request.action === 'pageKeys') {
+        // Keys tagged on the page, for the translator export
+        askPage({ type: 'i18n-editor-page-keys-request' }, 'i18n-editor-page-keys-response', 3000)
+            .then((data) => sendResponse(data ?
+                { success: true, keys: data.keys } :
+                { success: false, error: 'No response from page' }));
+        return true; // Async response
+    }
+    
+    if (request.action === 'history' || request.action === 'undo' || request.action === 'redo') {
+        // Edit history lives in the page context (per tab)
+        const types = {
+            history: 'i18n-editor-history-request',
+            undo: 'i18n-editor-undo',
+            redo: 'i18n-editor-redo',
         };
-        window.addEventListener('message', listener);
-        
-        // Timeout after 1 second
-        setTimeout(() => {
-            window.removeEventListener('message', listener);
-            sendResponse({ enabled: false });
-        }, 1000);
-        
+        // Undo/redo round-trips to the native host, so allow more time
+        const timeout = request.action === 'history' ? 1000 : 12000;
+        askPage({ type: types[request.action] }, 'i18n-editor-history-response', timeout)
+            .then((data) => sendResponse(data ?
+                { success: data.success !== false, error: data.error, history: data.history } :
+                { success: false, error: 'No response from page' }));
         return true; // Async response
     }
 });
+
+// Post a request to the page context and resolve with its response (or null on timeout)
+function askPage(message, responseType, timeoutMs) {
+    return new Promise((resolve) => {
+        const requestId = nextRequestId++;
+        const listener = (data) => {
+            if (data.type === responseType && data.requestId === requestId) {
+                pageListeners.delete(listener);
+                clearTimeout(timer);
+                resolve(data);
+            }
+        };
+        pageListeners.add(listener);
+        
+        const timer = setTimeout(() => {
+            pageListeners.delete(listener);
+            resolve(null);
+        }, timeoutMs);
+        postToPage({ ...message, requestId });
+    });
+}
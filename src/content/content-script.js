@@ -4,41 +4,99 @@
    Console API:
      starti18ndebug();   // enable
      stopi18ndebug();    // disable
+     togglei18noverlay(); // outline every translatable element (also Alt+Shift+H)
+     i18naudit();         // highlight hardcoded (untagged) strings, export JSON/CSV
 
    Behavior:
      • Click a translated text with data-i18n-text-keys attribute
+       (or Tab/Shift+Tab, J/K to move between them and Enter to open)
      • Edit inline
      • On Enter/Tab → updates JSON file
      • On Escape → cancels
+
+   Page event (for hot reload in the app):
+     window.addEventListener('i18n-editor:updated', (e) => e.detail);
+     // detail: { key, ns, lang, value }, once per saved key, in every tab of the host
 */
 
 (() => {
     if (window.starti18ndebug && window.stopi18ndebug) return;
 
+    // ---------- bridge channel ----------
+    // bridge.js opens a MessageChannel and transfers one port to this script, once, with an
+    // i18n-editor-connect window message. Both scripts run at document_start, before any page
+    // script, so our window listener is the first to see that message; it takes the port and
+    // stops the event, so page listeners never get it. Everything after that goes over the
+    // port. Requests carry a requestId that their response echoes.
+    const bridge = { port: null, queue: [], listeners: new Set(), nextRequestId: 1 };
+    
+    function connectBridge(event) {
+        if (event.source !== window || event.data?.type !== 'i18n-editor-connect' || !event.ports[0]) return;
+        event.stopImmediatePropagation();
+        window.removeEventListener('message', connectBridge, true);
+        bridge.port = event.ports[0];
+        bridge.port.onmessage = (message) => {
+            if (!message.data || typeof message.data !== 'object') return;
+            bridge.listeners.forEach(listener => listener(message.data));
+        };
+        bridge.queue.splice(0).forEach(message => bridge.port.postMessage(message));
+    }
+    window.addEventListener('message', connectBridge, true);
+    
+    // Messages sent before the port arrives are queued
+    function postToBridge(message) {
+        if (bridge.port) {
+            bridge.port.postMessage(message);
+        } else {
+            bridge.queue.push(message);
+        }
+    }
+    
+    // Call listener with every message from the bridge
+    function onBridgeMessage(listener) {
+        bridge.listeners.add(listener);
+        return () => bridge.listeners.delete(listener);
+    }
+    
+    // Answer a request of the bridge
+    function replyToBridge(request, message) {
+        postToBridge({ ...message, requestId: request.requestId });
+    }
+    
+    // Send a request to the bridge; resolves with its response, or with fallback after timeoutMs
+    function requestBridge(message, responseType, timeoutMs, fallback) {
+        return new Promise((resolve) => {
+            const requestId = bridge.nextRequestId++;
+            const stop = onBridgeMessage((data) => {
+                if (data.type !== responseType || data.requestId !== requestId) return;
+                stop();
+                clearTimeout(timer);
+                resolve(data);
+            });
+            const timer = setTimeout(() => {
+                stop();
+                resolve(fallback);
+            }, timeoutMs);
+            postToBridge({ ...message, requestId });
+        });
+    }
+    
     // ---------- helpers ----------
+    // Request template(s) for a key from JSON files via background script
+    // ns selects the locale file; the host falls back through the configured namespaces
+    function requestTemplate(key, ns, allLangs) {
+        return requestBridge({
+            type: 'i18n-editor-get-template',
+            key: key,
+            ns: ns,
+            allLangs: allLangs
+        }, 'i18n-editor-template-response', 3000, { template: null, error: 'Timeout' });
+    }
+    
     // Load template from JSON files via background script
-    async function loadTemplate(key) {
+    async function loadTemplate(key, ns) {
         try {
-            const response = await new Promise((resolve) => {
-                window.postMessage({
-                    type: 'i18n-editor-get-template',
-                    key: key
-                }, '*');
-                
-                const listener = (event) => {
-                    if (event.data.type === 'i18n-editor-template-response') {
-                        window.removeEventListener('message', listener);
-                        resolve(event.data);
-                    }
-                };
-                window.addEventListener('message', listener);
-                
-                setTimeout(() => {
-                    window.removeEventListener('message', listener);
-                    resolve({ template: null, error: 'Timeout' });
-                }, 3000);
-            });
-            
+            const response = await requestTemplate(key, ns, false);
             return response.template;
         } catch (error) {
             console.error('[i18n-debug] Error loading template:', error);
@@ -46,9 +104,34 @@
         }
     }
     
+    // Load the key's template in every language under root
+    // Resolves to { lang, template, templates, missing, namespaceFiles, fallback, variants, variantNs, pluralCategories }
+    // where lang is the configured (active) language and missing flags a key absent from it;
+    // variants are the plural/context siblings of the key in the active language
+    async function loadTemplates(key, ns) {
+        try {
+            const response = await requestTemplate(key, ns, true);
+            return {
+                lang: response.lang,
+                template: response.template,
+                templates: response.templates || {},
+                missing: !!response.missing,
+                namespaceFiles: response.namespaceFiles || [],
+                fallback: response.fallback || null,
+                variants: response.variants || [],
+                variantNs: response.variantNs || null,
+                pluralCategories: response.pluralCategories || null,
+            };
+        } catch (error) {
+            console.error('[i18n-debug] Error loading templates:', error);
+            return { lang: null, template: null, templates: {}, missing: false, namespaceFiles: [], fallback: null, variants: [], variantNs: null, pluralCategories: null };
+        }
+    }
+    
     // Show notification in page
     function showNotification(message, type = 'info') {
         const notification = document.createElement('div');
+        notification.setAttribute('data-i18n-overlay', 'toast'); // Editor UI: not page content
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -81,14 +164,12 @@
         }, 3000);
     }
 
-    // Create a floating overlay editor (for form elements and attributes)
-    async function makeFloatingEditor(targetEl, ns, key, renderedText) {
-        // Load the template from JSON
-        const template = await loadTemplate(key);
-        const editableText = template || renderedText; // Fallback to rendered if template not found
-        // Create overlay
+    // Create the modal overlay + container shared by all editor dialogs
+    // onClose runs once when the dialog goes away (saved, cancelled or clicked outside)
+    function createModal(onClose) {
         const overlay = document.createElement('div');
         overlay.setAttribute('data-i18n-modal', 'true'); // Mark as modal for event filtering
+        overlay.setAttribute('data-i18n-dialog', 'true');
         overlay.style.cssText = `
             position: fixed;
             top: 0;
@@ -102,195 +183,1821 @@
             z-index: 999999;
         `;
         
-        // Create editor container
-        const container = document.createElement('div');
-        container.style.cssText = `
+        const container = document.createElement('div');
+        container.style.cssText = `
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+            min-width: 400px;
+            max-width: 600px;
+            max-height: 80vh;
+            overflow-y: auto;
+        `;
+        
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+        
+        function close() {
+            if (overlay.parentNode) {
+                document.body.removeChild(overlay);
+                if (onClose) onClose();
+            }
+        }
+        
+        // Click overlay to cancel
+        overlay.addEventListener('click', (ev) => {
+            if (ev.target === overlay) {
+                close();
+            }
+        });
+        
+        return { overlay, container, close };
+    }
+    
+    // Small grey label used above inputs and list sections
+    function createLabel(text, marginBottom = 4) {
+        const label = document.createElement('div');
+        label.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 12px;
+            color: #666;
+            margin-bottom: ${marginBottom}px;
+            font-weight: 500;
+        `;
+        label.textContent = text;
+        return label;
+    }
+    
+    // Send an update payload to the native host via the bridge
+    // lang overrides the configured language (side-by-side editing);
+    // atomic applies the whole payload or nothing (batch commits)
+    async function sendUpdate(payload, lang, atomic = false) {
+        const data = await requestBridge({
+            type: 'i18n-editor-update',
+            payload: payload,
+            lang: lang,
+            atomic: atomic
+        }, 'i18n-editor-update-response', 10000, { response: { success: false, error: 'Timeout waiting for response' } });
+        return data.response;
+    }
+    
+    // Human-readable reason for a failed update response
+    function describeFailure(response) {
+        if (response?.errors && response.errors.length > 0) return response.errors.join('; ');
+        return response?.error || response?.message || 'Unknown error';
+    }
+    
+    // Placeholder differences from other languages the host wrote anyway
+    function logWarnings(response) {
+        (response?.warnings || []).forEach(warning => console.warn(`[i18n-debug] ⚠️ ${warning}`));
+    }
+
+    // CLDR plural categories in display order (i18next suffixes: key_one, key_other, ...)
+    const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+    // Interpolation placeholders ({{name}}, {{- name}}, {{value, format}}) and nesting ($t(key))
+    // Keep in sync with native/placeholders.js, which enforces the same check on save
+    function extractPlaceholders(value) {
+        if (typeof value !== 'string') return [];
+        const tokens = [];
+        for (const m of value.matchAll(/\{\{\s*-?\s*([^,}\s]+)[^}]*\}\}/g)) {
+            tokens.push(`{{${m[1]}}}`);
+        }
+        for (const m of value.matchAll(/\$t\(\s*([^,)\s]+)[^)]*\)/g)) {
+            tokens.push(`$t(${m[1]})`);
+        }
+        return tokens.sort();
+    }
+
+    // Placeholders dropped from / added to reference by value, as "missing ...; unexpected ..." (or '')
+    // distinct compares which placeholders occur, not how often (for other languages)
+    function placeholderProblems(reference, value, distinct) {
+        const tokens = text => distinct ? [...new Set(extractPlaceholders(text))] : extractPlaceholders(text);
+        const remaining = tokens(value);
+        const missing = [];
+        for (const token of tokens(reference)) {
+            const idx = remaining.indexOf(token);
+            if (idx === -1) {
+                missing.push(token);
+            } else {
+                remaining.splice(idx, 1);
+            }
+        }
+        const parts = [];
+        if (missing.length > 0) parts.push(`missing ${missing.join(', ')}`);
+        if (remaining.length > 0) parts.push(`unexpected ${remaining.join(', ')}`);
+        return parts.join('; ');
+    }
+
+    // Check a field against its own template (error, as the native host does) and the other
+    // languages (warning)
+    // Returns { error, warning } messages, empty when fine
+    function checkPlaceholders(value, own, others) {
+        const result = { error: '', warning: '' };
+        const entries = Object.entries(others).filter(([, text]) => typeof text === 'string');
+        const ownProblems = typeof own === 'string' ? placeholderProblems(own, value) : '';
+        if (ownProblems) result.error = `Placeholders changed: ${ownProblems}`;
+
+        const warnings = entries
+            .map(([lang, text]) => [lang, placeholderProblems(text, value, true)])
+            .filter(([, problems]) => problems)
+            .map(([lang, problems]) => `${lang}: ${problems}`);
+        if (warnings.length > 0) result.warning = `Differs from other languages - ${warnings.join(' | ')}`;
+        return result;
+    }
+
+    // Line under an input showing the result of checkPlaceholders
+    function createPlaceholderStatus() {
+        const status = document.createElement('div');
+        status.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 12px;
+            margin: -8px 0 12px;
+            display: none;
+        `;
+        status.update = ({ error, warning }) => {
+            status.textContent = error || warning;
+            status.style.color = error ? '#d32f2f' : '#ef6c00';
+            status.style.display = error || warning ? 'block' : 'none';
+        };
+        return status;
+    }
+
+    // Three-way view for an old-value mismatch reported by the host
+    // ({ key, ns, lang, current, expected, proposed }): what the file changed and what the edit
+    // changed, both against the value the editor started from. choice resolves with the value
+    // to write (the edit, or a merged text) or null to keep the file value.
+    function createConflictPanel(conflict, label) {
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 13px;
+            border: 1px solid #FFB74D;
+            background: #FFF8E1;
+            border-radius: 4px;
+            padding: 10px;
+            margin-bottom: 12px;
+        `;
+        
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: 600; color: #e65100; margin-bottom: 8px;';
+        title.textContent = `${label}: the file changed since the editor opened`;
+        panel.appendChild(title);
+        
+        [
+            ['Changed in the file:', conflict.current],
+            ['Your edit:', conflict.proposed],
+        ].forEach(([text, value]) => {
+            panel.appendChild(createLabel(text, 2));
+            const diff = renderDiff(conflict.expected, value);
+            diff.style.marginBottom = '8px';
+            panel.appendChild(diff);
+        });
+        
+        const merged = createTemplateInput(conflict.proposed, conflict.ns, conflict.key);
+        merged.style.display = 'none';
+        merged.style.marginBottom = '8px';
+        panel.appendChild(merged);
+        
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 6px; flex-wrap: wrap;';
+        panel.appendChild(actions);
+        
+        const choice = new Promise((resolve) => {
+            const button = (text, onClick) => {
+                const el = document.createElement('button');
+                el.type = 'button';
+                el.textContent = text;
+                el.style.cssText = `
+                    padding: 6px 10px;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                    background: white;
+                    cursor: pointer;
+                    font-size: 12px;
+                `;
+                el.addEventListener('click', onClick);
+                actions.appendChild(el);
+                return el;
+            };
+            
+            button('Overwrite', () => resolve(conflict.proposed));
+            button('Keep file value', () => resolve(null));
+            const editButton = button('Edit merged result', () => {
+                if (merged.style.display === 'none') {
+                    merged.style.display = 'block';
+                    editButton.textContent = 'Save merged';
+                    merged.focus();
+                    merged.select();
+                } else {
+                    resolve(merged.value);
+                }
+            });
+            merged.addEventListener('keydown', (ev) => {
+                if (ev.key === 'Enter') {
+                    ev.preventDefault();
+                    ev.stopPropagation();
+                    resolve(merged.value);
+                }
+            });
+        });
+        
+        return { panel, choice };
+    }
+    
+    // Create a floating overlay editor (for form elements and attributes)
+    // Shows one editable field per language directory under root, active language first
+    // attr is the tagged attribute being edited (text content when omitted)
+    async function makeFloatingEditor(targetEl, ns, key, renderedText, attr) {
+        // Load the template from JSON, in every language
+        const { lang: activeLang, template, templates, missing: activeMissing, namespaceFiles, fallback, variants, variantNs, pluralCategories } = await loadTemplates(key, ns);
+        
+        // Live preview in the page; kept only once the edit is saved
+        const preview = createPreview(targetEl, attr, renderedText);
+        let saved = false;
+        const { container, close } = createModal(() => {
+            if (saved) {
+                preview.keep();
+            } else {
+                preview.restore();
+            }
+        });
+        
+        // Create key label
+        const keyLabel = document.createElement('div');
+        keyLabel.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 14px;
+            color: #666;
+            margin-bottom: 12px;
+            font-weight: 500;
+        `;
+        keyLabel.textContent = `${ns}:${key}`;
+        
+        // Rendered text label
+        const renderedLabel = createLabel('Rendered (read-only):');
+        
+        // Rendered text display (readonly)
+        const renderedDisplay = document.createElement('input');
+        renderedDisplay.type = 'text';
+        renderedDisplay.value = renderedText;
+        renderedDisplay.readOnly = true;
+        renderedDisplay.style.cssText = `
+            width: 100%;
+            padding: 10px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 14px;
+            box-sizing: border-box;
+            background: #f5f5f5;
+            color: #666;
+            margin-bottom: 12px;
+        `;
+        
+        container.appendChild(keyLabel);
+        container.appendChild(renderedLabel);
+        container.appendChild(renderedDisplay);
+        
+        // Active language first, then the others alphabetically.
+        // Without an answer from the host we still edit the active language.
+        const langs = Object.keys(templates).filter(lang => lang !== activeLang).sort();
+        langs.unshift(activeLang);
+        
+        // Plural/context keys without a base value: the variants are the whole translation
+        const baseless = variants.length > 0 && template === null;
+        
+        const fields = (baseless ? [] : langs).map((lang) => {
+            const isActive = lang === activeLang;
+            
+            // Key missing in the active language: "add translation" flow
+            if (isActive && activeMissing) {
+                return makeAddTranslationField(container, lang, ns, key, fallback?.value ?? renderedText, fallback, namespaceFiles);
+            }
+            
+            // Fallback to rendered if template not found (active language only)
+            const value = isActive ? (template ?? renderedText) : templates[lang];
+            const missing = value === null || value === undefined;
+            
+            const label = isActive ?
+                `Template${lang ? ` - ${lang}` : ''} (editable):` :
+                `${lang}${missing ? ' (missing - type to add)' : ''}:`;
+            container.appendChild(createLabel(label));
+            
+            const input = createTemplateInput(missing ? '' : String(value), ns, key);
+            input.dataset.i18nLang = lang || '';
+            input.style.marginBottom = '12px';
+            if (missing) {
+                input.style.borderColor = '#FFB74D';
+                input.placeholder = 'Missing - type to add';
+            } else if (!isActive) {
+                input.style.borderColor = '#90CAF9';
+            }
+            container.appendChild(input);
+            return { lang: isActive ? undefined : lang, label: lang, input, old: missing ? null : String(value), create: missing, rendered: isActive };
+        });
+        
+        if (variants.length > 0) {
+            fields.push(...makeVariantFields(container, activeLang, ns, key, variants, variantNs, pluralCategories));
+        }
+        
+        // Create hint text
+        container.appendChild(createHint(batch.enabled ?
+            'Batch mode: Enter adds to the pending tray, Escape cancels' :
+            'Press Enter to save, Shift+Enter to queue for a batch, Escape to cancel'));
+        
+        // Preview line: flags text that no longer fits where it is rendered
+        const previewStatus = document.createElement('div');
+        previewStatus.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 12px;
+            color: #ef6c00;
+            margin-bottom: 8px;
+            display: none;
+        `;
+        container.appendChild(previewStatus);
+        
+        // Only the active language's base value is rendered on this page (not its plural or
+        // context variants, nor a translation still being added)
+        fields.filter(field => field.rendered).forEach((field) => {
+            field.input.addEventListener('input', () => {
+                const fit = preview.update(field.old, field.input.value);
+                const problems = [];
+                if (fit.overflows) problems.push('overflows its container');
+                if (fit.wraps) problems.push('wraps onto more lines');
+                previewStatus.textContent = `Preview: text ${problems.join(' and ')}`;
+                previewStatus.style.display = problems.length > 0 ? 'block' : 'none';
+            });
+        });
+        
+        // Live placeholder check against the field's own template and the other languages
+        const knownTemplates = { ...templates };
+        if (activeLang && !activeMissing) knownTemplates[activeLang] = template;
+        
+        function validate(field) {
+            if (field.create && field.input.value === '') return { error: '', warning: '' };
+            if (field.variant) return checkPlaceholders(field.input.value, field.old, {});
+            const others = { ...knownTemplates };
+            delete others[field.label];
+            return checkPlaceholders(field.input.value, field.old, others);
+        }
+        
+        fields.forEach((field) => {
+            field.status = createPlaceholderStatus();
+            field.input.after(field.status);
+            field.status.update(validate(field));
+            field.input.addEventListener('input', () => field.status.update(validate(field)));
+        });
+        
+        const input = fields[0].input;
+        input.focus();
+        input.select();
+        
+        function buildItem(field) {
+            return field.create ? {
+                key: field.key || key,
+                ns: field.nsSelect ? field.nsSelect.value : (field.ns || ns),
+                old: '',
+                new: field.input.value,
+                create: true,
+            } : {
+                key: field.key || key,
+                ns: field.ns || ns,
+                old: field.old,
+                new: field.input.value,
+            };
+        }
+        
+        async function commit(queueOnly) {
+            // One update per changed language; missing keys are created once they have a value
+            const changed = fields.filter(field => field.create ?
+                field.input.value !== '' :
+                field.old !== null && field.input.value !== field.old);
+            
+            if (changed.length === 0) {
+                close();
+                return;
+            }
+            
+            // Refuse broken placeholders unless confirmed; confirmed fields are sent with force,
+            // since the host rejects them otherwise
+            const broken = changed
+                .map(field => [field, validate(field).error])
+                .filter(([, error]) => error);
+            if (broken.length > 0) {
+                const summary = broken.map(([field, error]) => `${field.label || 'default'}: ${error}`).join('\n');
+                if (!window.confirm(`${summary}\n\nSave anyway?`)) {
+                    showNotification('Not saved: fix the placeholders first', 'error');
+                    broken[0][0].input.focus();
+                    return;
+                }
+            }
+            const forced = new Set(broken.map(([field]) => field));
+            const itemFor = field => forced.has(field) ? { ...buildItem(field), force: true } : buildItem(field);
+            
+            // Batch mode: queue in the tray instead of writing now
+            if (queueOnly || batch.enabled) {
+                queueEdits(changed.map(field => ({ ...itemFor(field), lang: field.lang || activeLang || undefined })));
+                close();
+                editorSaved(targetEl);
+                return;
+            }
+            
+            const failures = [];
+            const conflicts = [];
+            let wrote = false;
+            for (const field of changed) {
+                const payload = [itemFor(field)];
+                
+                try {
+                    const response = await sendUpdate(payload, field.lang);
+                    
+                    if (response && response.success) {
+                        console.log(`[i18n-debug] ✅ Updated ${payload[0].ns}:${payload[0].key} (${field.label || 'default'})`);
+                        logWarnings(response);
+                        wrote = true;
+                        if (field.create) {
+                            recordCreated({ key: payload[0].key, ns: payload[0].ns, lang: field.lang || activeLang || undefined });
+                        } else {
+                            recordEdit({ key: payload[0].key, ns: payload[0].ns, lang: field.lang || activeLang || undefined, old: field.old, new: field.input.value });
+                        }
+                    } else if (response?.conflicts?.length > 0) {
+                        console.warn('[i18n-debug] ⚠️ Conflict:', describeFailure(response));
+                        conflicts.push({ field, conflict: response.conflicts[0] });
+                    } else {
+                        console.error("[i18n-debug] ❌ Update failed:", describeFailure(response));
+                        failures.push(`${field.label || 'default'}: ${describeFailure(response)}`);
+                    }
+                } catch (error) {
+                    console.error("[i18n-debug] ❌ Error:", error);
+                    failures.push(`${field.label || 'default'}: ${error.message}`);
+                }
+            }
+            
+            // The file changed underneath: stay open until every conflict is resolved
+            if (conflicts.length > 0) {
+                resolving = true;
+                fields.forEach(field => { field.input.readOnly = true; });
+                const results = await Promise.all(conflicts.map(resolveConflict));
+                wrote = wrote || results.includes(true);
+            }
+            
+            if (failures.length > 0) {
+                showNotification(`Update failed: ${failures.join('; ')}`, 'error');
+            } else if (wrote) {
+                saved = true;
+                showNotification(`Updated: ${key}`, 'success');
+            } else {
+                showNotification(`Kept the file value: ${key}`, 'info');
+            }
+            close();
+            if (saved) editorSaved(targetEl);
+            
+            // Show the choices for one conflicting field and apply the chosen one:
+            // the edit or a merged text is re-sent with force for this item only
+            async function resolveConflict({ field, conflict }) {
+                const { panel, choice } = createConflictPanel(conflict, field.label || activeLang || 'default');
+                container.insertBefore(panel, container.firstChild.nextSibling);
+                const value = await choice;
+                panel.remove();
+                
+                if (value === null) {
+                    console.log(`[i18n-debug] Kept file value of ${conflict.ns}:${conflict.key}`);
+                    return false;
+                }
+                
+                const item = { ...buildItem(field), old: conflict.current, new: value, force: true };
+                if (field.rendered) preview.update(field.old, value);
+                const response = await sendUpdate([item], field.lang);
+                if (!response || !response.success) {
+                    console.error("[i18n-debug] ❌ Update failed:", describeFailure(response));
+                    failures.push(`${field.label || 'default'}: ${describeFailure(response)}`);
+                    return false;
+                }
+                console.log(`[i18n-debug] ✅ Resolved ${conflict.ns}:${conflict.key} (${field.label || 'default'})`);
+                recordEdit({ key: item.key, ns: item.ns, lang: field.lang || activeLang || undefined, old: conflict.current, new: value });
+                return true;
+            }
+        }
+        
+        // Set while conflict choices are shown; the fields are read-only then
+        let resolving = false;
+        
+        fields.forEach((field) => {
+            field.input.addEventListener('keydown', (ev) => {
+                if (ev.key === 'Enter') {
+                    if (resolving) return;
+                    ev.preventDefault();
+                    commit(ev.shiftKey); // Shift+Enter queues for a batch commit
+                } else if (ev.key === 'Escape') {
+                    ev.preventDefault();
+                    close();
+                }
+            });
+        });
+    }
+    
+    // One field per plural/context variant of key in the active language
+    // Plural groups also get an empty field for every CLDR category the language requires but lacks
+    function makeVariantFields(container, lang, ns, key, variants, variantNs, pluralCategories) {
+        const required = pluralCategories || { cardinal: ['one', 'other'], ordinal: [] };
+        const rows = [];
+        
+        // Group by context and cardinal/ordinal, keeping the host's order
+        const groups = new Map();
+        variants.forEach((variant) => {
+            const id = variant.category ? `${variant.context || ''}|${variant.ordinal}` : `context:${variant.suffix}`;
+            if (!groups.has(id)) groups.set(id, []);
+            groups.get(id).push(variant);
+        });
+        
+        for (const group of groups.values()) {
+            const { context, ordinal, category } = group[0];
+            if (!category) {
+                rows.push(group[0]);
+                continue;
+            }
+            const categories = PLURAL_CATEGORIES.filter(name =>
+                group.some(variant => variant.category === name) || required[ordinal ? 'ordinal' : 'cardinal'].includes(name));
+            categories.forEach((name) => {
+                const existing = group.find(variant => variant.category === name);
+                const suffix = `${context ? `${context}_` : ''}${ordinal ? 'ordinal_' : ''}${name}`;
+                rows.push(existing || { key: `${key}_${suffix}`, suffix, context, ordinal, category: name, value: null });
+            });
+        }
+        
+        container.appendChild(createLabel(`Plural & context variants${lang ? ` - ${lang}` : ''}:`, 8));
+        
+        return rows.map((variant) => {
+            const missing = variant.value === null;
+            const kind = variant.category ?
+                `${variant.category}${variant.ordinal ? ' (ordinal)' : ''}${variant.context ? `, context "${variant.context}"` : ''}` :
+                `context "${variant.context}"`;
+            container.appendChild(createLabel(`${kind} - _${variant.suffix}${missing ? ' (missing - type to add)' : ''}:`));
+            
+            const input = createTemplateInput(missing ? '' : variant.value, variantNs || ns, variant.key);
+            input.dataset.i18nLang = lang || '';
+            input.style.marginBottom = '12px';
+            if (missing) {
+                input.style.borderColor = '#FFB74D';
+                input.placeholder = 'Missing - type to add';
+            }
+            container.appendChild(input);
+            return { lang: undefined, label: lang, key: variant.key, ns: variantNs || ns, input, old: missing ? null : variant.value, create: missing, variant: true };
+        });
+    }
+    
+    // Field for a key missing in the active language: pre-filled from the fallback
+    // language (or the rendered fallback text) with a choice of namespace file to insert into
+    function makeAddTranslationField(container, lang, ns, key, startValue, fallback, namespaceFiles) {
+        const notice = document.createElement('div');
+        notice.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 12px;
+            color: #8a6d3b;
+            background: #fcf8e3;
+            border: 1px solid #faebcc;
+            border-radius: 4px;
+            padding: 8px 10px;
+            margin-bottom: 12px;
+        `;
+        notice.textContent = fallback && fallback.value !== null && fallback.value !== undefined ?
+            `Missing in ${lang || 'the active language'} - add translation (starting from ${fallback.lang}):` :
+            `Missing in ${lang || 'the active language'} - add translation (starting from the rendered text):`;
+        container.appendChild(notice);
+        
+        container.appendChild(createLabel('Namespace file:'));
+        const nsSelect = document.createElement('select');
+        nsSelect.style.cssText = `
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+            margin-bottom: 12px;
+        `;
+        const options = namespaceFiles.includes(ns) ? namespaceFiles : [ns, ...namespaceFiles];
+        options.forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = namespaceFiles.includes(name) ? name : `${name} (new file)`;
+            nsSelect.appendChild(option);
+        });
+        nsSelect.value = ns;
+        container.appendChild(nsSelect);
+        
+        container.appendChild(createLabel(`Template${lang ? ` - ${lang}` : ''} (new):`));
+        const input = createTemplateInput(String(startValue), ns, key);
+        input.dataset.i18nLang = lang || '';
+        input.style.marginBottom = '12px';
+        container.appendChild(input);
+        
+        return { lang: undefined, label: lang, input, old: null, create: true, nsSelect };
+    }
+    
+    // Editable template input, tagged with the key it edits
+    function createTemplateInput(value, ns, key) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.dataset.i18nEditor = '1';
+        input.dataset.i18nKey = key;
+        input.dataset.i18nNs = ns;
+        input.dataset.i18nOld = value;
+        input.style.cssText = `
+            width: 100%;
+            padding: 10px;
+            border: 2px solid #2196F3;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 14px;
+            box-sizing: border-box;
+        `;
+        return input;
+    }
+    
+    function createHint(text) {
+        const hint = document.createElement('div');
+        hint.style.cssText = `
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 12px;
+            color: #999;
+            margin-top: 8px;
+        `;
+        hint.textContent = text;
+        return hint;
+    }
+    
+    // Chooser for elements tagged with several keys and/or attributes
+    function makeChooser(targetEl, entries) {
+        const { overlay, container, close } = createModal();
+        
+        container.appendChild(createLabel(`${entries.length} translations on this element - choose one to edit:`, 12));
+        
+        entries.forEach((entry) => {
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.style.cssText = `
+                display: block;
+                width: 100%;
+                text-align: left;
+                padding: 8px 10px;
+                margin-bottom: 6px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: #fafafa;
+                cursor: pointer;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+            `;
+            
+            const title = document.createElement('div');
+            title.style.cssText = 'font-weight: 500; color: #333;';
+            title.textContent = entry.kind === 'attr' ?
+                `${entry.ns}:${entry.key} [${entry.attr}]` :
+                `${entry.ns}:${entry.key}`;
+            
+            const value = document.createElement('div');
+            value.style.cssText = 'color: #666; font-family: monospace; font-size: 12px; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            value.textContent = entry.value;
+            
+            // A composed label renders several keys at once; show each key's own template instead
+            if (entry.kind === 'text' && entries.filter(e => e.kind === 'text').length > 1) {
+                loadTemplate(entry.key, entry.ns).then((template) => {
+                    if (template !== null && template !== undefined) value.textContent = template;
+                });
+            }
+            
+            row.appendChild(title);
+            row.appendChild(value);
+            row.addEventListener('click', () => {
+                close();
+                makeEditor(targetEl, entry.ns, entry.key, entry.value, entry.attr);
+            });
+            container.appendChild(row);
+        });
+        
+        const editAll = document.createElement('button');
+        editAll.type = 'button';
+        editAll.textContent = 'Edit all together';
+        editAll.style.cssText = `
+            width: 100%;
+            padding: 10px;
+            margin-top: 6px;
+            background: #2196F3;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            font-size: 14px;
+            cursor: pointer;
+        `;
+        editAll.addEventListener('click', () => {
+            close();
+            makeCombinedEditor(targetEl, entries);
+        });
+        container.appendChild(editAll);
+        container.appendChild(createHint('Escape or click outside to cancel'));
+        
+        overlay.tabIndex = -1;
+        overlay.focus();
+        overlay.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape') {
+                ev.preventDefault();
+                close();
+            }
+        });
+    }
+    
+    // One form with an input per entry; saves all changed entries in a single payload
+    async function makeCombinedEditor(targetEl, entries) {
+        const templates = await Promise.all(entries.map(entry => loadTemplate(entry.key, entry.ns)));
+        const { container, close } = createModal();
+        
+        const fields = entries.map((entry, idx) => {
+            const editableText = templates[idx] || entry.value;
+            const label = entry.kind === 'attr' ?
+                `${entry.ns}:${entry.key} [${entry.attr}]` :
+                `${entry.ns}:${entry.key}`;
+            container.appendChild(createLabel(label));
+            
+            const input = createTemplateInput(editableText, entry.ns, entry.key);
+            input.style.marginBottom = '12px';
+            container.appendChild(input);
+            
+            const status = createPlaceholderStatus();
+            container.appendChild(status);
+            input.addEventListener('input', () => status.update(checkPlaceholders(input.value, editableText, {})));
+            return { entry, input, old: editableText };
+        });
+        
+        container.appendChild(createHint(batch.enabled ?
+            'Batch mode: Enter adds all changes to the pending tray, Escape cancels' :
+            'Press Enter to save all changes, Shift+Enter to queue them, Escape to cancel'));
+        
+        fields[0].input.focus();
+        fields[0].input.select();
+        
+        async function commit(queueOnly) {
+            const payload = fields
+                .filter(field => field.input.value !== field.old)
+                .map(field => ({
+                    key: field.entry.key,
+                    ns: field.entry.ns,
+                    old: field.old,
+                    new: field.input.value,
+                }));
+            
+            if (payload.length === 0) {
+                showNotification('No changes to save', 'info');
+                close();
+                return;
+            }
+            
+            // Refuse broken placeholders unless confirmed; confirmed items are sent with force
+            const broken = payload
+                .map(item => [item, checkPlaceholders(item.new, item.old, {}).error])
+                .filter(([, error]) => error);
+            if (broken.length > 0) {
+                const summary = broken.map(([item, error]) => `${item.ns}:${item.key}: ${error}`).join('\n');
+                if (!window.confirm(`${summary}\n\nSave anyway?`)) {
+                    showNotification('Not saved: fix the placeholders first', 'error');
+                    return;
+                }
+                broken.forEach(([item]) => { item.force = true; });
+            }
+            
+            // Batch mode: queue in the tray instead of writing now
+            if (queueOnly || batch.enabled) {
+                queueEdits(payload);
+                close();
+                editorSaved(targetEl);
+                return;
+            }
+            
+            try {
+                const response = await sendUpdate(payload);
+                
+                if (response && response.success) {
+                    console.log(`[i18n-debug] ✅ Updated ${payload.map(item => `${item.ns}:${item.key}`).join(', ')}`);
+                    logWarnings(response);
+                    payload.forEach(item => recordEdit({ key: item.key, ns: item.ns, old: item.old, new: item.new }));
+                    showNotification(`Updated ${payload.length} key(s)`, 'success');
+                    close();
+                    editorSaved(targetEl);
+                    return;
+                } else {
+                    console.error("[i18n-debug] ❌ Update failed:", describeFailure(response));
+                    showNotification(`Update failed: ${describeFailure(response)}`, 'error');
+                }
+            } catch (error) {
+                console.error("[i18n-debug] ❌ Error:", error);
+                showNotification(`Error: ${error.message}`, 'error');
+            }
+            close();
+        }
+        
+        fields.forEach(({ input }) => {
+            input.addEventListener('keydown', (ev) => {
+                if (ev.key === 'Enter') {
+                    ev.preventDefault();
+                    commit(ev.shiftKey);
+                } else if (ev.key === 'Escape') {
+                    ev.preventDefault();
+                    close();
+                }
+            });
+        });
+    }
+
+    // Always use floating modal editor - simple and avoids all DOM/event conflicts
+    function makeEditor(targetEl, ns, key, oldText, attr) {
+        return makeFloatingEditor(targetEl, ns, key, oldText, attr);
+    }
+
+    // ---------- live preview ----------
+    // Interpolation values are inferred by matching the rendered text against the template,
+    // e.g. "Hallo {{name}}" + "Hallo Anna" -> { "{{name}}": "Anna" }
+    const PREVIEW_TOKEN_RE = /\{\{\s*-?\s*([^,}\s]+)[^}]*\}\}|\$t\(\s*([^,)\s]+)[^)]*\)/g;
+    
+    function previewToken(match) {
+        return match[1] !== undefined ? `{{${match[1]}}}` : `$t(${match[2]})`;
+    }
+    
+    // Values of the template's placeholders in the rendered text, or null if it does not match
+    function inferValues(template, rendered) {
+        if (typeof template !== 'string' || typeof rendered !== 'string') return null;
+        const tokens = [];
+        let pattern = '';
+        let last = 0;
+        for (const m of template.matchAll(PREVIEW_TOKEN_RE)) {
+            pattern += escapeRegExp(template.slice(last, m.index)) + '([\\s\\S]*?)';
+            tokens.push(previewToken(m));
+            last = m.index + m[0].length;
+        }
+        pattern += escapeRegExp(template.slice(last));
+        
+        const match = new RegExp(`^${pattern}$`).exec(rendered);
+        if (!match) return null;
+        const values = {};
+        tokens.forEach((token, idx) => {
+            values[token] = match[idx + 1];
+        });
+        return values;
+    }
+    
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    
+    // Render a template with inferred values; unknown placeholders stay visible as-is
+    function interpolate(template, values) {
+        return template.replace(PREVIEW_TOKEN_RE, (...m) => {
+            const token = previewToken(m);
+            return token in values ? values[token] : m[0];
+        });
+    }
+    
+    // Where the rendered text sits in an element: the first text node containing it, or the
+    // whole element when its text is exactly the rendered text but split across nodes
+    // Returns { node, start } or { whole: true }, or null when it cannot be found
+    function locateRenderedText(el, renderedText) {
+        if (!renderedText) return null;
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const start = node.data.indexOf(renderedText);
+            if (start !== -1) return { node, start };
+        }
+        return el.textContent.trim() === renderedText.trim() ? { whole: true } : null;
+    }
+    
+    // Show edits on the clicked element (only the rendered text, or a tagged attribute) until restored
+    // update(template, value) returns { overflows, wraps } for the new text
+    function createPreview(targetEl, attr, renderedText) {
+        const location = targetEl && !attr ? locateRenderedText(targetEl, renderedText) : null;
+        
+        // Opened from search without an element on this page, or the text is not there: nothing to preview
+        if (!targetEl || (!attr && !location)) {
+            return { update: () => ({ overflows: false, wraps: false }), restore() {}, keep() {} };
+        }
+        
+        const originalNodes = Array.from(targetEl.childNodes);
+        const originalData = location?.node ? location.node.data : null;
+        const hadAttr = attr ? targetEl.hasAttribute(attr) : false;
+        const originalAttr = attr ? targetEl.getAttribute(attr) : null;
+        const originalValue = attr === 'value' ? targetEl.value : undefined;
+        const originalHeight = targetEl.getBoundingClientRect().height;
+        const originalOutline = targetEl.style.outline;
+        let values = {};
+        let changed = false;
+        
+        function apply(text) {
+            if (attr) {
+                targetEl.setAttribute(attr, text);
+                if (attr === 'value') targetEl.value = text;
+            } else if (location.node) {
+                // Replace the rendered substring only: siblings, icons and other keys stay
+                const { node, start } = location;
+                node.data = originalData.slice(0, start) + text + originalData.slice(start + renderedText.length);
+            } else {
+                targetEl.textContent = text;
+            }
+        }
+        
+        function measure() {
+            // Attributes such as title or aria-label have no layout of their own
+            if (attr && attr !== 'value' && attr !== 'placeholder') return { overflows: false, wraps: false };
+            const overflows = targetEl.scrollWidth > targetEl.clientWidth + 1 ||
+                targetEl.scrollHeight > targetEl.clientHeight + 1;
+            const wraps = !attr && targetEl.getBoundingClientRect().height > originalHeight + 1;
+            return { overflows, wraps };
+        }
+        
+        return {
+            update(template, value) {
+                values = { ...values, ...(inferValues(template, renderedText) || {}) };
+                apply(interpolate(value, values));
+                changed = true;
+                
+                const fit = measure();
+                targetEl.style.outline = fit.overflows || fit.wraps ? '2px dashed #ef6c00' : '2px dashed #2196F3';
+                return fit;
+            },
+            restore() {
+                if (!changed) return;
+                if (attr) {
+                    if (hadAttr) {
+                        targetEl.setAttribute(attr, originalAttr);
+                    } else {
+                        targetEl.removeAttribute(attr);
+                    }
+                    if (attr === 'value') targetEl.value = originalValue;
+                } else if (location.node) {
+                    location.node.data = originalData;
+                } else {
+                    // Put back the original nodes, so the page's own references stay valid
+                    targetEl.replaceChildren(...originalNodes);
+                }
+                targetEl.style.outline = originalOutline;
+                changed = false;
+            },
+            keep() {
+                targetEl.style.outline = originalOutline;
+            },
+        };
+    }
+
+    // ---------- batch edits (pending-changes tray) ----------
+    // Queued edits: { id, key, ns, lang, old, new, create? }. Persisted per host via the bridge
+    // (chrome.storage.local), committed as one all-or-nothing payload.
+    const batch = { enabled: false, items: [], tray: null };
+    
+    function persistBatch() {
+        postToBridge({
+            type: 'i18n-editor-queue-save',
+            queue: { enabled: batch.enabled, items: batch.items }
+        });
+    }
+    
+    function queueEdits(items) {
+        items.forEach((item) => {
+            // A later edit of the same key/lang replaces the queued one but keeps the original old value
+            const existing = batch.items.find(q => q.key === item.key && q.ns === item.ns && q.lang === item.lang);
+            if (existing) {
+                existing.new = item.new;
+                existing.force = item.force;
+            } else {
+                batch.items.push({ ...item, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}` });
+            }
+        });
+        persistBatch();
+        renderTray();
+        showNotification(`Queued ${items.length} change(s) - ${batch.items.length} pending`, 'info');
+    }
+    
+    function discardEdit(id) {
+        batch.items = batch.items.filter(item => item.id !== id);
+        persistBatch();
+        renderTray();
+    }
+    
+    async function commitBatch() {
+        if (batch.items.length === 0) return;
+        
+        const payload = batch.items.map(({ id, ...item }) => item);
+        let response;
+        try {
+            response = await sendUpdate(payload, undefined, true);
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+        
+        if (response && response.success) {
+            console.log(`[i18n-debug] ✅ Batch committed: ${payload.length} change(s)`);
+            logWarnings(response);
+            payload.forEach(item => (item.create ? recordCreated(item) : recordEdit(item)));
+            showNotification(`Committed ${payload.length} change(s)`, 'success');
+            batch.items = [];
+            persistBatch();
+        } else {
+            // All-or-nothing: nothing was written, keep the queue for fixing
+            console.error('[i18n-debug] ❌ Batch commit failed:', describeFailure(response));
+            showNotification(`Batch not committed: ${describeFailure(response)}`, 'error');
+        }
+        renderTray();
+    }
+    
+    // Inline diff: common prefix/suffix plain, changed middle highlighted
+    function renderDiff(oldText, newText) {
+        const wrap = document.createElement('div');
+        wrap.style.cssText = 'font-family: monospace; font-size: 11px; white-space: pre-wrap; word-break: break-word;';
+        
+        let start = 0;
+        while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+        let end = 0;
+        while (end < oldText.length - start && end < newText.length - start &&
+               oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+        
+        const parts = [
+            [oldText.slice(0, start), ''],
+            [oldText.slice(start, oldText.length - end), 'background: #ffebee; color: #c62828; text-decoration: line-through;'],
+            [newText.slice(start, newText.length - end), 'background: #e8f5e9; color: #2e7d32;'],
+            [oldText.slice(oldText.length - end), ''],
+        ];
+        parts.forEach(([text, style]) => {
+            if (!text) return;
+            const span = document.createElement('span');
+            span.style.cssText = style;
+            span.textContent = text;
+            wrap.appendChild(span);
+        });
+        return wrap;
+    }
+    
+    // Tray fixed in the bottom-right corner while edit mode is on and there is something to show
+    function renderTray() {
+        const visible = window.__i18nDebugActive && (batch.enabled || batch.items.length > 0);
+        if (!visible) {
+            if (batch.tray && batch.tray.parentNode) batch.tray.parentNode.removeChild(batch.tray);
+            batch.tray = null;
+            return;
+        }
+        
+        if (!batch.tray) {
+            batch.tray = document.createElement('div');
+            batch.tray.setAttribute('data-i18n-modal', 'true'); // Interactive despite edit mode
+            batch.tray.style.cssText = `
+                position: fixed;
+                right: 20px;
+                bottom: 20px;
+                width: 360px;
+                max-height: 50vh;
+                overflow-y: auto;
+                background: white;
+                border-radius: 8px;
+                box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+                padding: 12px;
+                z-index: 999998;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+            `;
+            document.body.appendChild(batch.tray);
+        }
+        const tray = batch.tray;
+        tray.textContent = '';
+        
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;';
+        const title = document.createElement('strong');
+        title.textContent = `Pending changes (${batch.items.length})`;
+        const toggle = document.createElement('label');
+        toggle.style.cssText = 'font-size: 12px; color: #666; cursor: pointer;';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = batch.enabled;
+        checkbox.addEventListener('change', () => {
+            batch.enabled = checkbox.checked;
+            persistBatch();
+            renderTray();
+        });
+        toggle.appendChild(checkbox);
+        toggle.appendChild(document.createTextNode(' Batch mode'));
+        header.appendChild(title);
+        header.appendChild(toggle);
+        tray.appendChild(header);
+        
+        batch.items.forEach((item) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'border-top: 1px solid #eee; padding: 6px 0; position: relative;';
+            
+            const keyLine = document.createElement('div');
+            keyLine.style.cssText = 'font-weight: 500; color: #333; padding-right: 24px;';
+            keyLine.textContent = `${item.ns}:${item.key}${item.lang ? ` (${item.lang})` : ''}${item.create ? ' - new' : ''}`;
+            
+            const discard = document.createElement('button');
+            discard.type = 'button';
+            discard.textContent = '✕';
+            discard.title = 'Discard this change';
+            discard.style.cssText = 'position: absolute; top: 6px; right: 0; border: none; background: none; cursor: pointer; color: #999;';
+            discard.addEventListener('click', () => discardEdit(item.id));
+            
+            row.appendChild(keyLine);
+            row.appendChild(discard);
+            row.appendChild(renderDiff(item.old || '', item.new));
+            tray.appendChild(row);
+        });
+        
+        if (batch.items.length > 0) {
+            const actions = document.createElement('div');
+            actions.style.cssText = 'display: flex; gap: 8px; margin-top: 8px;';
+            
+            const commitButton = document.createElement('button');
+            commitButton.type = 'button';
+            commitButton.textContent = `Commit all (${batch.items.length})`;
+            commitButton.style.cssText = 'flex: 1; padding: 8px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;';
+            commitButton.addEventListener('click', () => {
+                commitButton.disabled = true;
+                commitBatch();
+            });
+            
+            const discardAll = document.createElement('button');
+            discardAll.type = 'button';
+            discardAll.textContent = 'Discard all';
+            discardAll.style.cssText = 'padding: 8px; background: #eee; color: #333; border: none; border-radius: 4px; cursor: pointer;';
+            discardAll.addEventListener('click', () => {
+                if (!confirm(`Discard ${batch.items.length} pending change(s)?`)) return;
+                batch.items = [];
+                persistBatch();
+                renderTray();
+            });
+            
+            actions.appendChild(commitButton);
+            actions.appendChild(discardAll);
+            tray.appendChild(actions);
+        } else {
+            tray.appendChild(createHint('Edits are queued here instead of being saved immediately'));
+        }
+    }
+    
+    // ---------- edit history (undo/redo) ----------
+    // Applied edits of this tab, kept in sessionStorage so they survive reloads.
+    // Entries: { key, ns, lang, old, new, time }; lang undefined means the configured language.
+    // Created keys cannot be undone (the host cannot delete keys): they are only listed in
+    // created ({ key, ns, lang, time }), so the session's git and export scopes include them.
+    const HISTORY_STORAGE_KEY = '__i18nEditorHistory';
+    
+    function loadHistory() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) {
+                return { created: [], ...stored };
+            }
+        } catch (error) {
+            console.warn('[i18n-debug] Could not read edit history:', error);
+        }
+        return { undo: [], redo: [], created: [] };
+    }
+    
+    function saveHistory(history) {
+        try {
+            sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+        } catch (error) {
+            console.warn('[i18n-debug] Could not store edit history:', error);
+        }
+    }
+    
+    // Record an applied edit; a new edit invalidates the redo stack
+    function recordEdit(entry) {
+        const history = loadHistory();
+        history.undo.push({ ...entry, time: Date.now() });
+        history.redo = [];
+        saveHistory(history);
+    }
+    
+    // Record a created key; it stays out of the undo/redo stacks
+    function recordCreated({ key, ns, lang }) {
+        const history = loadHistory();
+        history.created.push({ key, ns, lang, time: Date.now() });
+        saveHistory(history);
+    }
+    
+    // Re-apply an entry in either direction through the normal update path.
+    // The host verifies the file still holds the value we expect (mismatch check).
+    async function applyHistoryEntry(entry, direction) {
+        const [from, to] = direction === 'undo' ? [entry.new, entry.old] : [entry.old, entry.new];
+        const response = await sendUpdate([{ key: entry.key, ns: entry.ns, old: from, new: to }], entry.lang);
+        return response || { success: false, error: 'No response' };
+    }
+    
+    async function undoEdit() {
+        return moveHistory('undo', 'redo');
+    }
+    
+    async function redoEdit() {
+        return moveHistory('redo', 'undo');
+    }
+    
+    async function moveHistory(fromStack, toStack) {
+        const history = loadHistory();
+        const entry = history[fromStack][history[fromStack].length - 1];
+        const label = fromStack === 'undo' ? 'Undo' : 'Redo';
+        
+        if (!entry) {
+            showNotification(`Nothing to ${label.toLowerCase()}`, 'info');
+            return { success: false, error: `Nothing to ${label.toLowerCase()}` };
+        }
+        
+        const response = await applyHistoryEntry(entry, fromStack);
+        
+        if (response.success) {
+            // Re-read: another edit may have been recorded meanwhile
+            const current = loadHistory();
+            current[fromStack] = current[fromStack].filter(e => e.time !== entry.time);
+            current[toStack].push(entry);
+            saveHistory(current);
+            console.log(`[i18n-debug] ↩ ${label} ${entry.ns}:${entry.key}`);
+            showNotification(`${label}: ${entry.key}`, 'success');
+        } else {
+            console.error(`[i18n-debug] ❌ ${label} failed:`, response.error);
+            showNotification(`${label} failed: ${response.error || 'Unknown error'}`, 'error');
+        }
+        return response;
+    }
+    
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes while edit mode is active.
+    // Inside the editor dialog the keys keep their normal text-editing meaning.
+    function historyKeyHandler(e) {
+        if (e.target.closest && e.target.closest('[data-i18n-modal]')) return;
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoEdit();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoEdit();
+        }
+    }
+
+    // ---------- highlight overlay ----------
+    // Outlines every tagged element, coloured by the namespace file its key comes from.
+    // Boxes live in their own layer (pointer-events: none), so the page's DOM is not touched.
+    const OVERLAY_COLORS = {
+        reviewed: '#4CAF50',
+        old: '#FF9800',
+        missing: '#f44336',
+        other: '#2196F3',
+        pending: '#9E9E9E',
+    };
+    const TAGGED_SELECTOR = '[data-i18n-text-keys], [data-i18n-attr]';
+    
+    const highlight = {
+        enabled: false,
+        layer: null,
+        tooltip: null,
+        observer: null,
+        locations: new Map(), // "ns|key" -> namespace file, or null when missing
+        requested: new Set(),
+        scheduled: false,
+    };
+    
+    // Status of one key: reviewed / old / other (any other file) / missing / pending
+    function keyStatus(ns, key) {
+        const id = `${ns}|${key}`;
+        if (!highlight.locations.has(id)) return 'pending';
+        const file = highlight.locations.get(id);
+        if (file === null) return 'missing';
+        return file in OVERLAY_COLORS ? file : 'other';
+    }
+    
+    // Worst status across an element's keys
+    function elementStatus(entries) {
+        const statuses = entries.map(entry => keyStatus(entry.ns, entry.key));
+        return ['missing', 'old', 'pending', 'other', 'reviewed'].find(status => statuses.includes(status)) || 'other';
+    }
+    
+    // Ask the host where keys live, once per key
+    function locateKeys(entries) {
+        const keys = entries
+            .filter(entry => !highlight.requested.has(`${entry.ns}|${entry.key}`))
+            .map(entry => ({ key: entry.key, ns: entry.ns }));
+        if (keys.length === 0) return;
+        keys.forEach(({ key, ns }) => highlight.requested.add(`${ns}|${key}`));
+        
+        requestBridge({ type: 'i18n-editor-locate-keys', keys }, 'i18n-editor-locate-response', 30000,
+            { locations: [], error: 'Timeout' }).then((data) => {
+            if (data.error) {
+                console.warn('[i18n-debug] Key lookup failed:', data.error);
+            }
+            data.locations.forEach((location) => {
+                highlight.locations.set(`${location.ns}|${location.key}`, location.file);
+            });
+            scheduleOverlay();
+        });
+    }
+    
+    function scheduleOverlay() {
+        if (!highlight.enabled || highlight.scheduled) return;
+        highlight.scheduled = true;
+        requestAnimationFrame(() => {
+            highlight.scheduled = false;
+            renderOverlay();
+        });
+    }
+    
+    function renderOverlay() {
+        if (!highlight.enabled || !highlight.layer) return;
+        highlight.layer.textContent = '';
+        
+        const unknown = [];
+        document.querySelectorAll(TAGGED_SELECTOR).forEach((el) => {
+            if (el.closest('[data-i18n-modal], [data-i18n-overlay]')) return;
+            const rect = el.getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) return;
+            if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) return;
+            
+            const entries = collectEntries(el);
+            unknown.push(...entries);
+            
+            const box = document.createElement('div');
+            box.style.cssText = `
+                position: fixed;
+                left: ${rect.left}px;
+                top: ${rect.top}px;
+                width: ${rect.width}px;
+                height: ${rect.height}px;
+                outline: 2px solid ${OVERLAY_COLORS[elementStatus(entries)]};
+                outline-offset: 1px;
+                box-sizing: border-box;
+            `;
+            highlight.layer.appendChild(box);
+        });
+        
+        highlight.layer.appendChild(createOverlayLegend());
+        locateKeys(unknown);
+    }
+    
+    function createOverlayLegend() {
+        const legend = document.createElement('div');
+        legend.style.cssText = `
+            position: fixed;
+            left: 12px;
+            bottom: 12px;
+            padding: 6px 10px;
+            background: rgba(255, 255, 255, 0.95);
+            border-radius: 4px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 11px;
+            color: #333;
+        `;
+        [['reviewed', 'reviewed'], ['old', 'old'], ['other', 'other file'], ['missing', 'missing']].forEach(([status, text]) => {
+            const item = document.createElement('span');
+            item.style.cssText = `margin-right: 10px; border-left: 10px solid ${OVERLAY_COLORS[status]}; padding-left: 4px;`;
+            item.textContent = text;
+            legend.appendChild(item);
+        });
+        return legend;
+    }
+    
+    // Tooltip with ns:key (and source file) for the tagged element under the pointer
+    function overlayHover(e) {
+        const el = e.target.closest && e.target.closest(TAGGED_SELECTOR);
+        if (!el || el.closest('[data-i18n-modal]')) {
+            highlight.tooltip.style.display = 'none';
+            return;
+        }
+        highlight.tooltip.textContent = collectEntries(el).map((entry) => {
+            const where = entry.kind === 'attr' ? ` [${entry.attr}]` : '';
+            const status = keyStatus(entry.ns, entry.key);
+            const file = status === 'other' ? highlight.locations.get(`${entry.ns}|${entry.key}`) : status;
+            return `${entry.ns}:${entry.key}${where} - ${file}`;
+        }).join('\n');
+        highlight.tooltip.style.left = `${Math.min(e.clientX + 12, window.innerWidth - 320)}px`;
+        highlight.tooltip.style.top = `${e.clientY + 16}px`;
+        highlight.tooltip.style.display = 'block';
+    }
+    
+    function showOverlay() {
+        if (highlight.enabled) return;
+        highlight.enabled = true;
+        
+        highlight.layer = document.createElement('div');
+        highlight.layer.setAttribute('data-i18n-overlay', 'true');
+        highlight.layer.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 999990;';
+        
+        highlight.tooltip = document.createElement('div');
+        highlight.tooltip.setAttribute('data-i18n-overlay', 'true');
+        highlight.tooltip.style.cssText = `
+            position: fixed;
+            display: none;
+            max-width: 300px;
+            padding: 6px 8px;
+            background: #263238;
+            color: white;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 12px;
+            white-space: pre-wrap;
+            pointer-events: none;
+            z-index: 999991;
+        `;
+        document.body.appendChild(highlight.layer);
+        document.body.appendChild(highlight.tooltip);
+        
+        // Re-render on DOM changes, except our own
+        highlight.observer = new MutationObserver((mutations) => {
+            const external = mutations.some(m => !(m.target.closest ? m.target : m.target.parentElement)?.closest?.('[data-i18n-overlay]'));
+            if (external) scheduleOverlay();
+        });
+        highlight.observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+        
+        window.addEventListener('scroll', scheduleOverlay, true);
+        window.addEventListener('resize', scheduleOverlay);
+        document.addEventListener('mousemove', overlayHover, true);
+        renderOverlay();
+    }
+    
+    function hideOverlay() {
+        if (!highlight.enabled) return;
+        highlight.enabled = false;
+        
+        highlight.observer.disconnect();
+        window.removeEventListener('scroll', scheduleOverlay, true);
+        window.removeEventListener('resize', scheduleOverlay);
+        document.removeEventListener('mousemove', overlayHover, true);
+        highlight.layer.remove();
+        highlight.tooltip.remove();
+        highlight.observer = highlight.layer = highlight.tooltip = null;
+    }
+    
+    // Saved keys may have moved between files (e.g. a new key): look them up again
+    function forgetLocations(updates) {
+        updates.forEach((update) => {
+            highlight.locations.delete(`${update.ns}|${update.key}`);
+            highlight.requested.delete(`${update.ns}|${update.key}`);
+        });
+        scheduleOverlay();
+    }
+    
+    window.togglei18noverlay = function togglei18noverlay() {
+        if (highlight.enabled) {
+            hideOverlay();
+        } else {
+            showOverlay();
+        }
+        return highlight.enabled;
+    };
+    
+    // Alt+Shift+H toggles the overlay, with or without edit mode
+    // (on window, so it runs before the edit-mode blockers on document)
+    window.addEventListener('keydown', (e) => {
+        if (e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyH') {
+            e.preventDefault();
+            window.togglei18noverlay();
+        }
+    }, true);
+
+    // ---------- hardcoded string audit ----------
+    // Finds visible text and user-facing attributes that did not go through i18next
+    // (no data-i18n-* tagging), highlights them and exports a report.
+    const AUDIT_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+    // The editor's own nodes (dialogs, tray, toasts, overlays) carry data-i18n-modal or data-i18n-overlay
+    const AUDIT_SKIP_SELECTOR = 'script, style, noscript, template, code, pre, [data-i18n-modal], [data-i18n-overlay]';
+    
+    const audit = {
+        layer: null,
+        items: [],
+    };
+    
+    // Worth translating: has letters and is not just whitespace, numbers or punctuation
+    function isTranslatableText(text) {
+        return /\p{L}/u.test(text);
+    }
+    
+    function isVisible(el) {
+        if (el.getClientRects().length === 0) return false;
+        const style = getComputedStyle(el);
+        return style.visibility !== 'hidden' && style.opacity !== '0';
+    }
+    
+    // Short CSS selector for an element: nearest #id, then tag:nth-of-type steps
+    function cssSelector(el) {
+        const steps = [];
+        let node = el;
+        while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.body) {
+            if (node.id) {
+                steps.unshift(`#${CSS.escape(node.id)}`);
+                return steps.join(' > ');
+            }
+            let step = node.localName;
+            const siblings = node.parentElement ?
+                Array.from(node.parentElement.children).filter(sibling => sibling.localName === node.localName) : [];
+            if (siblings.length > 1) {
+                step += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+            steps.unshift(step);
+            node = node.parentElement;
+        }
+        steps.unshift('body');
+        return steps.join(' > ');
+    }
+    
+    // Untagged strings on the page: [{ type, attr, text, selector, url, element }]
+    function collectUntagged() {
+        const items = [];
+        const url = window.location.href;
+        
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            const el = node.parentElement;
+            const text = node.nodeValue.trim();
+            if (!el || !isTranslatableText(text)) continue;
+            if (el.closest(AUDIT_SKIP_SELECTOR) || el.closest('[data-i18n-text-keys]')) continue;
+            if (!isVisible(el)) continue;
+            items.push({ type: 'text', attr: null, text, selector: cssSelector(el), url, element: el });
+        }
+        
+        const attrSelector = AUDIT_ATTRIBUTES.map(name => `[${name}]`).join(', ');
+        document.body.querySelectorAll(attrSelector).forEach((el) => {
+            if (el.closest(AUDIT_SKIP_SELECTOR)) return;
+            const tagged = (el.dataset.i18nAttr || '').split(',').map(name => name.trim());
+            AUDIT_ATTRIBUTES.forEach((name) => {
+                const text = (el.getAttribute(name) || '').trim();
+                if (!isTranslatableText(text) || tagged.includes(name)) return;
+                items.push({ type: 'attr', attr: name, text, selector: cssSelector(el), url, element: el });
+            });
+        });
+        
+        return items;
+    }
+    
+    // Report rows without the element references
+    function auditReport() {
+        return audit.items.map(({ type, attr, text, selector, url }) => ({ type, attr, text, selector, url }));
+    }
+    
+    function auditCsv() {
+        const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const rows = auditReport().map(item => [item.type, item.attr, item.text, item.selector, item.url].map(quote).join(','));
+        return ['type,attribute,text,selector,url', ...rows].join('\r\n');
+    }
+    
+    function downloadFile(name, content, mimeType) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    function exportAudit(format) {
+        const base = `untagged-strings-${window.location.hostname || 'page'}`;
+        if (format === 'csv') {
+            downloadFile(`${base}.csv`, auditCsv(), 'text/csv');
+        } else {
+            downloadFile(`${base}.json`, JSON.stringify(auditReport(), null, 2), 'application/json');
+        }
+    }
+    
+    // Dashed boxes in document coordinates (they scroll with the page) plus a control panel
+    function renderAudit() {
+        audit.layer.textContent = '';
+        
+        audit.items.forEach((item) => {
+            const rect = item.element.getBoundingClientRect();
+            const box = document.createElement('div');
+            box.style.cssText = `
+                position: absolute;
+                left: ${rect.left + window.scrollX}px;
+                top: ${rect.top + window.scrollY}px;
+                width: ${rect.width}px;
+                height: ${rect.height}px;
+                outline: 2px dashed #E91E63;
+                box-sizing: border-box;
+                pointer-events: none;
+            `;
+            audit.layer.appendChild(box);
+        });
+        
+        const panel = document.createElement('div');
+        panel.setAttribute('data-i18n-modal', 'true'); // Interactive despite edit mode
+        panel.style.cssText = `
+            position: fixed;
+            left: 20px;
+            top: 20px;
+            padding: 10px 12px;
             background: white;
-            padding: 20px;
             border-radius: 8px;
             box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-            min-width: 400px;
-            max-width: 600px;
-        `;
-        
-        // Create key label
-        const keyLabel = document.createElement('div');
-        keyLabel.style.cssText = `
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 14px;
-            color: #666;
-            margin-bottom: 12px;
-            font-weight: 500;
+            font-size: 13px;
+            pointer-events: auto;
         `;
-        keyLabel.textContent = `${ns}:${key}`;
+        const title = document.createElement('strong');
+        title.textContent = `${audit.items.length} untagged string(s)`;
+        panel.appendChild(title);
         
-        // Rendered text label
-        const renderedLabel = document.createElement('div');
-        renderedLabel.style.cssText = `
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 12px;
-            color: #666;
-            margin-bottom: 4px;
-            font-weight: 500;
-        `;
-        renderedLabel.textContent = 'Rendered (read-only):';
+        [['JSON', () => exportAudit('json')], ['CSV', () => exportAudit('csv')], ['Rescan', runAudit], ['Close', stopAudit]].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.style.cssText = 'margin-left: 8px; padding: 3px 8px; border: 1px solid #ddd; border-radius: 4px; background: #fafafa; cursor: pointer;';
+            button.addEventListener('click', action);
+            panel.appendChild(button);
+        });
+        audit.layer.appendChild(panel);
+    }
+    
+    function runAudit() {
+        if (!audit.layer) {
+            audit.layer = document.createElement('div');
+            audit.layer.setAttribute('data-i18n-overlay', 'audit');
+            audit.layer.style.cssText = 'position: absolute; left: 0; top: 0; width: 0; height: 0; pointer-events: none; z-index: 999989;';
+            document.body.appendChild(audit.layer);
+        }
+        audit.items = collectUntagged();
+        renderAudit();
+        console.info(`[i18n-debug] ${audit.items.length} untagged string(s):`, auditReport());
+    }
+    
+    function stopAudit() {
+        if (audit.layer) audit.layer.remove();
+        audit.layer = null;
+        audit.items = [];
+    }
+    
+    window.i18naudit = function i18naudit() {
+        if (audit.layer) {
+            stopAudit();
+            return null;
+        }
+        runAudit();
+        return auditReport();
+    };
+
+    // ---------- keyboard navigation ----------
+    // Tab/Shift+Tab or J/K move a focus ring through tagged elements in document order,
+    // Enter opens the editor; with auto-advance, a save moves on to the next element
+    const nav = {
+        element: null,
+        ring: null,
+        autoAdvance: false, // popup setting, delivered by the bridge
+    };
+    
+    function navigableElements() {
+        return Array.from(document.querySelectorAll(TAGGED_SELECTOR))
+            .filter(el => !el.closest('[data-i18n-modal], [data-i18n-overlay]') && el.getClientRects().length > 0);
+    }
+    
+    function focusTagged(el) {
+        nav.element = el;
+        if (!el) {
+            if (nav.ring) nav.ring.remove();
+            nav.ring = null;
+            return;
+        }
         
-        // Rendered text display (readonly)
-        const renderedDisplay = document.createElement('input');
-        renderedDisplay.type = 'text';
-        renderedDisplay.value = renderedText;
-        renderedDisplay.readOnly = true;
-        renderedDisplay.style.cssText = `
-            width: 100%;
-            padding: 10px;
-            border: 1px solid #ddd;
+        el.scrollIntoView({ block: 'center', inline: 'nearest' });
+        if (!nav.ring) {
+            nav.ring = document.createElement('div');
+            nav.ring.setAttribute('data-i18n-overlay', 'focus');
+            document.body.appendChild(nav.ring);
+        }
+        // Document coordinates, so the ring scrolls with the page
+        const rect = el.getBoundingClientRect();
+        nav.ring.style.cssText = `
+            position: absolute;
+            left: ${rect.left + window.scrollX - 3}px;
+            top: ${rect.top + window.scrollY - 3}px;
+            width: ${rect.width + 6}px;
+            height: ${rect.height + 6}px;
+            border: 3px solid #673AB7;
             border-radius: 4px;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 14px;
+            box-shadow: 0 0 0 3px rgba(103, 58, 183, 0.25);
             box-sizing: border-box;
-            background: #f5f5f5;
-            color: #666;
-            margin-bottom: 12px;
+            pointer-events: none;
+            z-index: 999992;
         `;
         
-        // Template label
-        const templateLabel = document.createElement('div');
-        templateLabel.style.cssText = `
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 12px;
-            color: #666;
-            margin-bottom: 4px;
-            font-weight: 500;
-        `;
-        templateLabel.textContent = 'Template (editable):';
+        const where = collectEntries(el).map(entry => `${entry.ns}:${entry.key}`).join(', ');
+        console.info(`[i18n-debug] Focused ${where}`);
+    }
+    
+    // Move by step (1 / -1), wrapping around; starts at the first/last element
+    function moveFocus(step) {
+        const elements = navigableElements();
+        if (elements.length === 0) {
+            showNotification('No translatable elements on this page', 'info');
+            return;
+        }
+        const current = elements.indexOf(nav.element);
+        const next = current === -1 ?
+            (step > 0 ? 0 : elements.length - 1) :
+            (current + step + elements.length) % elements.length;
+        focusTagged(elements[next]);
+    }
+    
+    // After a save (or queueing) from the focused element, open the next one
+    function editorSaved(targetEl) {
+        if (!nav.autoAdvance || !window.__i18nDebugActive || !targetEl || targetEl !== nav.element) return;
+        setTimeout(() => {
+            moveFocus(1);
+            if (nav.element) openEditorFor(nav.element);
+        }, 0);
+    }
+    
+    function navKeyHandler(e) {
+        if (e.target.closest && e.target.closest('[data-i18n-modal]')) return;
+        if (document.querySelector('[data-i18n-modal][data-i18n-dialog]')) return; // An editor is open
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
         
-        // Template input (editable)
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = editableText;
-        input.dataset.i18nEditor = '1';
-        input.dataset.i18nKey = key;
-        input.dataset.i18nNs = ns;
-        input.dataset.i18nOld = editableText;
-        input.style.cssText = `
-            width: 100%;
-            padding: 10px;
-            border: 2px solid #2196F3;
+        const key = e.key;
+        if (key === 'Tab' || key === 'j' || key === 'k') {
+            e.preventDefault();
+            moveFocus(key === 'k' || (key === 'Tab' && e.shiftKey) ? -1 : 1);
+        } else if (key === 'Enter' && nav.element) {
+            e.preventDefault();
+            openEditorFor(nav.element);
+        } else if (key === 'Escape' && nav.element) {
+            e.preventDefault();
+            focusTagged(null);
+        }
+    }
+
+    // ---------- search results: jump to element ----------
+    // Tagged elements for a key from the locale files. Plural/context variants
+    // (cart.items_one, friend_male) are tagged with their base key.
+    function findTaggedElement(key, ns) {
+        const base = key.replace(/_(ordinal_)?(zero|one|two|few|many|other)$/, '');
+        const candidates = [...new Set([key, base, base.replace(/_[^_.]+$/, '')])];
+        
+        let fallback = null;
+        for (const candidate of candidates) {
+            for (const el of document.querySelectorAll(TAGGED_SELECTOR)) {
+                if (el.closest('[data-i18n-modal], [data-i18n-overlay]')) continue;
+                const entry = collectEntries(el).find(item => item.key === candidate);
+                if (!entry) continue;
+                if (entry.ns === ns) return { element: el, entry };
+                fallback = fallback || { element: el, entry };
+            }
+            if (fallback) return fallback;
+        }
+        return null;
+    }
+    
+    // Scroll to an element and flash an outline around it
+    function flashElement(el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const flash = document.createElement('div');
+        flash.setAttribute('data-i18n-overlay', 'flash');
+        const rect = el.getBoundingClientRect();
+        flash.style.cssText = `
+            position: absolute;
+            left: ${rect.left + window.scrollX - 4}px;
+            top: ${rect.top + window.scrollY - 4}px;
+            width: ${rect.width + 8}px;
+            height: ${rect.height + 8}px;
+            border: 3px solid #FFC107;
             border-radius: 4px;
-            font-family: monospace;
-            font-size: 14px;
+            background: rgba(255, 193, 7, 0.25);
             box-sizing: border-box;
+            pointer-events: none;
+            z-index: 999993;
+            transition: opacity 0.6s;
         `;
-        
-        // Create hint text
-        const hint = document.createElement('div');
-        hint.style.cssText = `
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 12px;
-            color: #999;
-            margin-top: 8px;
-        `;
-        hint.textContent = 'Press Enter to save, Escape to cancel';
-        
-        container.appendChild(keyLabel);
-        container.appendChild(renderedLabel);
-        container.appendChild(renderedDisplay);
-        container.appendChild(templateLabel);
-        container.appendChild(input);
-        container.appendChild(hint);
-        overlay.appendChild(container);
-        document.body.appendChild(overlay);
-        
-        input.focus();
-        input.select();
-        
-        async function commit() {
-            const newText = input.value;
-            
-            const payload = [{
-                key: key,
-                ns: ns,
-                old: editableText,
-                new: newText,
-            }];
-            
-            try {
-                const response = await new Promise((resolve) => {
-                    window.postMessage({
-                        type: 'i18n-editor-update',
-                        payload: payload
-                    }, '*');
-                    
-                    const listener = (event) => {
-                        if (event.data.type === 'i18n-editor-update-response') {
-                            window.removeEventListener('message', listener);
-                            resolve(event.data.response);
-                        }
-                    };
-                    window.addEventListener('message', listener);
-                    
-                    setTimeout(() => {
-                        window.removeEventListener('message', listener);
-                        resolve({ success: false, error: 'Timeout waiting for response' });
-                    }, 10000);
-                });
-                
-                if (response && response.success) {
-                    console.log(`[i18n-debug] ✅ Updated ${ns}:${key}`);
-                    showNotification(`Updated: ${key}`, 'success');
-                    document.body.removeChild(overlay);
-                } else {
-                    console.error("[i18n-debug] ❌ Update failed:", response?.error);
-                    showNotification(`Update failed: ${response?.error || 'Unknown error'}`, 'error');
-                    document.body.removeChild(overlay);
-                }
-            } catch (error) {
-                console.error("[i18n-debug] ❌ Error:", error);
-                showNotification(`Error: ${error.message}`, 'error');
-                document.body.removeChild(overlay);
+        document.body.appendChild(flash);
+        setTimeout(() => (flash.style.opacity = '0'), 1200);
+        setTimeout(() => flash.remove(), 1900);
+    }
+    
+    // Show (and optionally edit) a search result; without an element on this page,
+    // edit opens the editor for the key on its own
+    function revealKey({ key, ns, value, edit }) {
+        const found = findTaggedElement(key, ns);
+        if (found) {
+            flashElement(found.element);
+            nav.element = found.element;
+            if (edit) {
+                makeEditor(found.element, found.entry.ns, found.entry.key, found.entry.value, found.entry.attr);
             }
+            return true;
         }
-        
-        function cancel() {
-            if (overlay.parentNode) {
-                document.body.removeChild(overlay);
-            }
+        if (edit) {
+            makeEditor(null, ns, key, typeof value === 'string' ? value : '');
         }
-        
-        input.addEventListener('keydown', (ev) => {
-            if (ev.key === 'Enter') {
-                ev.preventDefault();
-                commit();
-            } else if (ev.key === 'Escape') {
-                ev.preventDefault();
-                cancel();
-            }
-        });
-        
-        // Click overlay to cancel
-        overlay.addEventListener('click', (ev) => {
-            if (ev.target === overlay) {
-                cancel();
-            }
-        });
-    }
-
-    // Always use floating modal editor - simple and avoids all DOM/event conflicts
-    function makeEditor(targetEl, ns, key, oldText) {
-        return makeFloatingEditor(targetEl, ns, key, oldText);
+        return false;
     }
 
     // ---------- main click handler ----------
-    async function handler(e) {
-        // Always block the click from doing anything
-        e.preventDefault();
-        e.stopPropagation();
-        e.stopImmediatePropagation();
-
-        const raw = e.target;
-        const target = raw.nodeType === Node.TEXT_NODE ? raw.parentNode : raw;
-
-        // Pattern 1: Text content (data-i18n-text-keys, data-i18n-text-ns)
+    // Collect every editable translation on an element:
+    // Pattern 1: Text content (data-i18n-text-keys, data-i18n-text-ns)
+    // Pattern 2: Attribute content (data-i18n-attr, data-i18n-{attr}-ns, data-i18n-{attr}-key)
+    function collectEntries(target) {
+        const entries = [];
+        
         const textKeysRaw = target.dataset?.i18nTextKeys;
         const textNsRaw = target.dataset?.i18nTextNs;
         
@@ -299,89 +2006,108 @@
             const keys = textKeysRaw.split(',').map(k => k.trim()).filter(Boolean);
             const namespaces = textNsRaw.split(',').map(n => n.trim()).filter(Boolean);
             
-            // Use the first key/namespace pair (most common case)
-            const textKey = keys[0];
-            const textNs = namespaces[0];
-            
-            if (!textKey || !textNs) {
-                console.warn("[i18n-debug] Invalid i18n attributes (empty after parsing)");
-                showNotification("Element not editable: invalid i18n attributes", 'error');
-                return;
-            }
-            
-            // Use the current text content as the template
+            // Use the current text content as the rendered value
             const text = target.textContent || target.innerText || "";
             
-            console.clear();
-            console.log(`[i18n-debug] Editing ${textNs}:${textKey}`);
-            if (keys.length > 1) {
-                console.log(`[i18n-debug] Note: Element has ${keys.length} keys, editing the first one`);
-            }
-            console.log("Current value:", JSON.stringify(text));
-            
-            // Highlight briefly
-            if (target && target.style) {
-                target.style.outline = "2px solid #4CAF50";
-                setTimeout(() => (target.style.outline = ""), 500);
-            }
-            
-            // Open modal editor
-            makeEditor(target, textNs, textKey, text);
-            return;
+            keys.forEach((key, idx) => {
+                // The tagger de-duplicates namespaces, so the list can be shorter than the keys
+                const ns = namespaces[idx] || namespaces[namespaces.length - 1];
+                if (ns) {
+                    entries.push({ kind: 'text', ns, key, value: text });
+                }
+            });
         }
         
-        // Pattern 2: Attribute content (data-i18n-attr, data-i18n-{attr}-ns, data-i18n-{attr}-key)
         const attrListRaw = target.dataset?.i18nAttr;
         
         if (attrListRaw) {
             // Handle comma-separated attribute names (i18n-dom-tagger can tag multiple attributes)
             const attrNames = attrListRaw.split(',').map(a => a.trim()).filter(Boolean);
             
-            // Use the first attribute (most common case)
-            const attrName = attrNames[0];
-            
-            if (!attrName) {
-                console.warn("[i18n-debug] Invalid data-i18n-attr (empty after parsing)");
-                showNotification("Element not editable: invalid i18n-attr", 'error');
-                return;
-            }
-            
-            const attrNsKey = `i18n${attrName.charAt(0).toUpperCase() + attrName.slice(1)}Ns`;
-            const attrKeyKey = `i18n${attrName.charAt(0).toUpperCase() + attrName.slice(1)}Key`;
-            
-            const ns = target.dataset[attrNsKey];
-            const key = target.dataset[attrKeyKey];
-            
-            if (!ns || !key) {
-                console.warn(`[i18n-debug] Element missing required attributes: data-i18n-${attrName}-ns and data-i18n-${attrName}-key`);
-                showNotification(`Element not editable: missing i18n-${attrName} attributes`, 'error');
-                return;
-            }
-            
-            // Use the current attribute value
-            const currentValue = target.getAttribute(attrName) || "";
-            
-            console.clear();
-            console.log(`[i18n-debug] Editing ${ns}:${key} (attribute: ${attrName})`);
-            if (attrNames.length > 1) {
-                console.log(`[i18n-debug] Note: Element has ${attrNames.length} translated attributes, editing the first one`);
-            }
-            console.log("Current value:", JSON.stringify(currentValue));
-            
-            // Highlight briefly
-            if (target && target.style) {
-                target.style.outline = "2px solid #2196F3";
-                setTimeout(() => (target.style.outline = ""), 500);
-            }
-            
-            // Open modal editor
-            makeEditor(target, ns, key, currentValue);
+            attrNames.forEach((attrName) => {
+                const attrNsKey = `i18n${attrName.charAt(0).toUpperCase() + attrName.slice(1)}Ns`;
+                const attrKeyKey = `i18n${attrName.charAt(0).toUpperCase() + attrName.slice(1)}Key`;
+                
+                const ns = target.dataset[attrNsKey];
+                const key = target.dataset[attrKeyKey];
+                
+                if (!ns || !key) {
+                    console.warn(`[i18n-debug] Element missing required attributes: data-i18n-${attrName}-ns and data-i18n-${attrName}-key`);
+                    return;
+                }
+                
+                // Use the current attribute value
+                entries.push({ kind: 'attr', attr: attrName, ns, key, value: target.getAttribute(attrName) || "" });
+            });
+        }
+        
+        return entries;
+    }
+    
+    // Every key tagged on the page, once each (translator export)
+    function pageKeys() {
+        const keys = new Map();
+        document.querySelectorAll(TAGGED_SELECTOR).forEach((el) => {
+            collectEntries(el).forEach(({ key, ns }) => keys.set(`${ns}|${key}`, { key, ns }));
+        });
+        return [...keys.values()];
+    }
+    
+    async function handler(e) {
+        const raw = e.target;
+        const target = raw.nodeType === Node.TEXT_NODE ? raw.parentNode : raw;
+        
+        // Let clicks inside our own dialogs through
+        if (target.closest && target.closest('[data-i18n-modal]')) {
+            return;
+        }
+        
+        // Always block the click from doing anything
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+
+        const entries = collectEntries(target);
+        
+        if (entries.length === 0) {
+            // No supported attributes found
+            console.warn("[i18n-debug] Element missing required i18n attributes");
+            showNotification("Element not editable: missing i18n attributes", 'error');
+            return;
+        }
+        
+        console.clear();
+        entries.forEach((entry) => {
+            const where = entry.kind === 'attr' ? ` (attribute: ${entry.attr})` : '';
+            console.log(`[i18n-debug] ${entry.ns}:${entry.key}${where} =`, JSON.stringify(entry.value));
+        });
+        
+        // Highlight briefly
+        if (target && target.style) {
+            target.style.outline = entries[0].kind === 'attr' ? "2px solid #2196F3" : "2px solid #4CAF50";
+            setTimeout(() => (target.style.outline = ""), 500);
+        }
+        
+        // Keyboard navigation continues from the clicked element
+        if (nav.ring) {
+            focusTagged(target);
+        } else {
+            nav.element = target;
+        }
+        
+        openEditorFor(target, entries);
+    }
+    
+    // Open the editor for a tagged element (clicked or focused with the keyboard)
+    function openEditorFor(target, entries = collectEntries(target)) {
+        if (entries.length === 1) {
+            const [entry] = entries;
+            makeEditor(target, entry.ns, entry.key, entry.value, entry.attr);
             return;
         }
         
-        // No supported attributes found
-        console.warn("[i18n-debug] Element missing required i18n attributes");
-        showNotification("Element not editable: missing i18n attributes", 'error');
+        // Several keys or attributes: let the user pick one (or edit all)
+        makeChooser(target, entries);
     }
 
     // ---------- public controls ----------
@@ -413,6 +2139,11 @@
         // Capture click to intercept before any app handlers
         document.addEventListener("click", handler, capture);
         
+        // Undo/redo and navigation shortcuts (registered before the blockers, which swallow keydown)
+        document.addEventListener("keydown", historyKeyHandler, capture);
+        document.addEventListener("keydown", navKeyHandler, capture);
+        postToBridge({ type: 'i18n-editor-get-settings' });
+        
         // Block all other interactions (click is handled separately by handler)
         const blockEvents = ['mousedown', 'mouseup', 'dblclick', 'contextmenu', 
                              'keydown', 'keypress', 'keyup', 
@@ -435,12 +2166,13 @@
                 "Enter/Tab updates files automatically.",
         );
         showNotification("i18n Editor enabled - click text to edit", 'info');
+        renderTray();
         
         // Persist enabled state
-        window.postMessage({
+        postToBridge({
             type: 'i18n-editor-persist-state',
             enabled: true
-        }, '*');
+        });
     };
 
     window.stopi18ndebug = function stopi18ndebug() {
@@ -451,6 +2183,9 @@
         
         // Remove click handler
         document.removeEventListener("click", window.__i18nNSInspector, capture);
+        document.removeEventListener("keydown", historyKeyHandler, capture);
+        document.removeEventListener("keydown", navKeyHandler, capture);
+        focusTagged(null);
         
         // Remove all blocked event listeners
         if (window.__i18nBlockedEvents) {
@@ -467,47 +2202,115 @@
         window.__i18nDebugActive = false;
         console.info("[i18n-debug] disabled.");
         showNotification("i18n Editor disabled", 'info');
+        renderTray();
         
         // Persist disabled state
-        window.postMessage({
+        postToBridge({
             type: 'i18n-editor-persist-state',
             enabled: false
-        }, '*');
+        });
     };
     
     // Auto-restore state on page load
     function restoreEditorState() {
-        window.postMessage({
+        postToBridge({
+            type: 'i18n-editor-queue-load'
+        });
+        postToBridge({
             type: 'i18n-editor-restore-state'
-        }, '*');
+        });
     }
 
-    // Listen for messages from popup via window messages
-    window.addEventListener('message', (event) => {
-        if (event.source !== window) return;
+    // Listen for messages from the popup (relayed by the bridge)
+    onBridgeMessage((data) => {
         
-        if (event.data.type === 'i18n-editor-toggle') {
-            if (event.data.enabled) {
+        if (data.type === 'i18n-editor-toggle') {
+            if (data.enabled) {
                 starti18ndebug();
             } else {
                 stopi18ndebug();
             }
-            // Send response back
-            window.postMessage({
-                type: 'i18n-editor-response',
-                success: true
-            }, '*');
         }
         
-        if (event.data.type === 'i18n-editor-status-request') {
+        if (data.type === 'i18n-editor-status-request') {
             // Send current status
-            window.postMessage({
+            replyToBridge(data, {
                 type: 'i18n-editor-status-response',
-                enabled: !!window.__i18nDebugActive
-            }, '*');
+                enabled: !!window.__i18nDebugActive,
+                overlay: highlight.enabled,
+                audit: !!audit.layer
+            });
+        }
+        
+        if (data.type === 'i18n-editor-audit-toggle') {
+            const report = window.i18naudit();
+            replyToBridge(data, {
+                type: 'i18n-editor-audit-status',
+                audit: report !== null,
+                count: report ? report.length : 0
+            });
+        }
+        
+        if (data.type === 'i18n-editor-overlay-toggle') {
+            replyToBridge(data, {
+                type: 'i18n-editor-overlay-status',
+                overlay: window.togglei18noverlay()
+            });
+        }
+        
+        if (data.type === 'i18n-editor-queue-loaded' && data.queue) {
+            batch.enabled = !!data.queue.enabled;
+            batch.items = Array.isArray(data.queue.items) ? data.queue.items : [];
+            renderTray();
+        }
+        
+        if (data.type === 'i18n-editor-history-request') {
+            replyToBridge(data, {
+                type: 'i18n-editor-history-response',
+                history: loadHistory()
+            });
+        }
+        
+        if (data.type === 'i18n-editor-undo' || data.type === 'i18n-editor-redo') {
+            const request = data;
+            const run = request.type === 'i18n-editor-undo' ? undoEdit : redoEdit;
+            run().then((response) => {
+                replyToBridge(request, {
+                    type: 'i18n-editor-history-response',
+                    history: loadHistory(),
+                    success: !!response.success,
+                    error: response.error
+                });
+            });
+        }
+        
+        if (data.type === 'i18n-editor-page-keys-request') {
+            replyToBridge(data, {
+                type: 'i18n-editor-page-keys-response',
+                keys: pageKeys()
+            });
+        }
+        
+        if (data.type === 'i18n-editor-reveal') {
+            replyToBridge(data, {
+                type: 'i18n-editor-reveal-response',
+                found: revealKey(data)
+            });
+        }
+        
+        if (data.type === 'i18n-editor-settings') {
+            nav.autoAdvance = !!data.settings?.autoAdvance;
+        }
+        
+        if (data.type === 'i18n-editor-translations-updated' && Array.isArray(data.updates)) {
+            // Saved in this or another tab of the same host: let the app hot-reload the text
+            data.updates.forEach((update) => {
+                window.dispatchEvent(new CustomEvent('i18n-editor:updated', { detail: update }));
+            });
+            forgetLocations(data.updates);
         }
         
-        if (event.data.type === 'i18n-editor-state-restored' && event.data.enabled) {
+        if (data.type === 'i18n-editor-state-restored' && data.enabled) {
             // Auto-enable if it was previously enabled
             starti18ndebug();
         }
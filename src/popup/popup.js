@@ -3,11 +3,56 @@
 let isEnabled = false;
 
 // DOM elements
+const profileSelect = document.getElementById('profile');
+const profileFields = document.getElementById('profileFields');
+const profileNameInput = document.getElementById('profileName');
+const profileMatchInput = document.getElementById('profileMatch');
+const newProfileButton = document.getElementById('newProfile');
+const deleteProfileButton = document.getElementById('deleteProfile');
 const rootInput = document.getElementById('root');
+const pathTemplateInput = document.getElementById('pathTemplate');
 const langInput = document.getElementById('lang');
+const namespacesInput = document.getElementById('namespaces');
+const fallbackLangInput = document.getElementById('fallbackLang');
 const forceCheckbox = document.getElementById('force');
+const allowedOriginsInput = document.getElementById('allowedOrigins');
+const persistentHostCheckbox = document.getElementById('persistentHost');
+const autoAdvanceCheckbox = document.getElementById('autoAdvance');
+const fileFormatSelect = document.getElementById('fileFormat');
+const indentSelect = document.getElementById('indent');
+const sortKeysCheckbox = document.getElementById('sortKeys');
+const backupMaxCountInput = document.getElementById('backupMaxCount');
+const backupMaxAgeDaysInput = document.getElementById('backupMaxAgeDays');
+const backupDirInput = document.getElementById('backupDir');
+const backupNsInput = document.getElementById('backupNs');
+const backupKeyInput = document.getElementById('backupKey');
+const listBackupsButton = document.getElementById('listBackups');
+const backupListDiv = document.getElementById('backupList');
+const backupDiffDiv = document.getElementById('backupDiff');
+const searchQueryInput = document.getElementById('searchQuery');
+const searchButton = document.getElementById('search');
+const searchResultsDiv = document.getElementById('searchResults');
+const gitStatusButton = document.getElementById('gitStatus');
+const gitDiffButton = document.getElementById('gitDiff');
+const gitCommitButton = document.getElementById('gitCommit');
+const gitBranchCheckbox = document.getElementById('gitBranch');
+const gitStatusListDiv = document.getElementById('gitStatusList');
+const gitDiffDiv = document.getElementById('gitDiffView');
+const exchangeScopeSelect = document.getElementById('exchangeScope');
+const exchangeFormatSelect = document.getElementById('exchangeFormat');
+const exportTranslationsButton = document.getElementById('exportTranslations');
+const importFileInput = document.getElementById('importFile');
+const importContentInput = document.getElementById('importContent');
+const importTranslationsButton = document.getElementById('importTranslations');
+const exchangeReportDiv = document.getElementById('exchangeReport');
+const historySection = document.getElementById('historySection');
+const historyListDiv = document.getElementById('historyList');
+const undoButton = document.getElementById('undo');
+const redoButton = document.getElementById('redo');
 const saveButton = document.getElementById('save');
 const toggleButton = document.getElementById('toggle');
+const highlightButton = document.getElementById('highlight');
+const auditButton = document.getElementById('audit');
 const statusDiv = document.getElementById('status');
 
 // Show status message
@@ -22,22 +67,138 @@ function showStatus(message, type = 'info') {
     }, 3000);
 }
 
-// Load current settings
-function loadSettings() {
-    chrome.storage.sync.get(['root', 'lang', 'force'], (items) => {
-        rootInput.value = items.root || 'src/assets/locales';
-        langInput.value = items.lang || 'de';
-        forceCheckbox.checked = items.force || false;
+// ---------- Settings & profiles ----------
+// Settings a profile can override: PROFILE_FIELDS (src/common/profiles.js); the rest are global
+let globalSettings = {};
+let profiles = [];
+let selectedProfile = -1; // Index into profiles, -1 = global defaults
+let activeTabUrl = null;
+
+// URL of the active tab, used to pick its profile
+function getActiveTabUrl() {
+    return new Promise((resolve) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            resolve(tabs.length > 0 ? tabs[0].url || null : null);
+        });
     });
 }
 
-// Save settings
-function saveSettings() {
-    const settings = {
-        root: rootInput.value.trim(),
+// Show a settings object (global or profile, falling back to global values) in the form
+function fillForm(items) {
+    const value = field => (items[field] !== undefined ? items[field] : globalSettings[field]);
+    rootInput.value = [].concat(value('root') || 'src/assets/locales').join(', ');
+    pathTemplateInput.value = value('pathTemplate') || '';
+    langInput.value = value('lang') || 'de';
+    namespacesInput.value = (value('namespaces') || ['reviewed', 'old']).join(', ');
+    fallbackLangInput.value = value('fallbackLang') || 'en';
+    forceCheckbox.checked = value('force') || false;
+    fileFormatSelect.value = value('fileFormat') || 'auto';
+    indentSelect.value = String(value('format')?.indent ?? 'auto');
+    sortKeysCheckbox.checked = !!value('format')?.sortKeys;
+    backupMaxCountInput.value = value('backup')?.maxCount || '';
+    backupMaxAgeDaysInput.value = value('backup')?.maxAgeDays || '';
+    backupDirInput.value = value('backup')?.dir || '';
+}
+
+// Profile-level settings from the form
+function readForm() {
+    const roots = rootInput.value.split(',').map(root => root.trim()).filter(Boolean);
+    return {
+        root: roots.length > 1 ? roots : roots[0] || '',
+        pathTemplate: pathTemplateInput.value.trim(),
         lang: langInput.value.trim(),
-        force: forceCheckbox.checked
+        fallbackLang: fallbackLangInput.value.trim(),
+        namespaces: namespacesInput.value.split(',').map(ns => ns.trim()).filter(Boolean),
+        force: forceCheckbox.checked,
+        fileFormat: fileFormatSelect.value,
+        format: {
+            indent: indentSelect.value,
+            sortKeys: sortKeysCheckbox.checked
+        },
+        backup: {
+            maxCount: parseInt(backupMaxCountInput.value, 10) || 0,
+            maxAgeDays: parseInt(backupMaxAgeDaysInput.value, 10) || 0,
+            dir: backupDirInput.value.trim()
+        }
     };
+}
+
+function renderProfiles() {
+    profileSelect.textContent = '';
+    const globalOption = document.createElement('option');
+    globalOption.value = '-1';
+    globalOption.textContent = 'Global defaults';
+    profileSelect.appendChild(globalOption);
+    
+    profiles.forEach((profile, idx) => {
+        const option = document.createElement('option');
+        option.value = String(idx);
+        option.textContent = `${profile.name} (${profile.match})`;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = String(selectedProfile);
+    
+    const profile = profiles[selectedProfile];
+    profileFields.style.display = profile ? 'flex' : 'none';
+    deleteProfileButton.disabled = !profile;
+    profileNameInput.value = profile ? profile.name : '';
+    profileMatchInput.value = profile ? profile.match : '';
+    fillForm(profile || globalSettings);
+}
+
+// Load current settings; preselect the profile matching the active tab
+async function loadSettings() {
+    activeTabUrl = await getActiveTabUrl();
+    chrome.storage.sync.get([...PROFILE_FIELDS, 'nativeConnection', 'autoAdvance', 'allowedOrigins', 'gitBranch', 'profiles'], (items) => {
+        profiles = items.profiles || [];
+        delete items.profiles;
+        globalSettings = items;
+        
+        persistentHostCheckbox.checked = items.nativeConnection !== 'oneshot';
+        allowedOriginsInput.value = (items.allowedOrigins || []).join(', ');
+        autoAdvanceCheckbox.checked = !!items.autoAdvance;
+        gitBranchCheckbox.checked = !!items.gitBranch;
+        
+        selectedProfile = activeTabUrl ?
+            profiles.findIndex(profile => profile.match && profileMatches(profile.match, activeTabUrl)) : -1;
+        renderProfiles();
+    });
+}
+
+// New profile for the active tab's origin, starting from the current form
+function createProfile() {
+    let origin = '';
+    try {
+        origin = activeTabUrl ? new URL(activeTabUrl).origin : '';
+    } catch {
+        origin = '';
+    }
+    const name = window.prompt('Profile name:', origin ? new URL(origin).host : `Profile ${profiles.length + 1}`);
+    if (!name) return;
+    
+    profiles.push({ name: name.trim(), match: origin, ...readForm() });
+    selectedProfile = profiles.length - 1;
+    chrome.storage.sync.set({ profiles }, () => {
+        renderProfiles();
+        showStatus(origin ? `Profile created for ${origin}` : 'Profile created - set its URL pattern', 'success');
+    });
+}
+
+function deleteProfile() {
+    const profile = profiles[selectedProfile];
+    if (!profile || !window.confirm(`Delete profile "${profile.name}"?`)) return;
+    
+    profiles.splice(selectedProfile, 1);
+    selectedProfile = -1;
+    chrome.storage.sync.set({ profiles }, () => {
+        renderProfiles();
+        showStatus('Profile deleted', 'info');
+    });
+}
+
+// Save settings (into the selected profile, or the global defaults)
+function saveSettings() {
+    const settings = readForm();
     
     // Validate settings
     if (!settings.root) {
@@ -50,14 +211,42 @@ function saveSettings() {
         return;
     }
     
+    if (settings.pathTemplate && !settings.pathTemplate.includes('{lang}')) {
+        showStatus('The path template must contain {lang}', 'error');
+        return;
+    }
+    
+    const globals = {
+        nativeConnection: persistentHostCheckbox.checked ? 'persistent' : 'oneshot',
+        autoAdvance: autoAdvanceCheckbox.checked,
+        allowedOrigins: allowedOriginsInput.value.split(',').map(origin => origin.trim()).filter(Boolean),
+    };
+    
+    let update;
+    if (selectedProfile === -1) {
+        update = { ...settings, ...globals };
+        globalSettings = { ...globalSettings, ...update };
+    } else {
+        const name = profileNameInput.value.trim();
+        const match = profileMatchInput.value.trim();
+        if (!name || !match) {
+            showStatus('Please enter a profile name and URL pattern', 'error');
+            return;
+        }
+        profiles[selectedProfile] = { name, match, ...settings };
+        update = { profiles, ...globals };
+    }
+    
     saveButton.disabled = true;
     saveButton.textContent = 'Saving...';
     
-    chrome.storage.sync.set(settings, () => {
+    chrome.storage.sync.set(update, () => {
         if (chrome.runtime.lastError) {
             showStatus(`Error saving settings: ${chrome.runtime.lastError.message}`, 'error');
         } else {
-            showStatus('Settings saved successfully!', 'success');
+            showStatus(selectedProfile === -1 ? 'Settings saved successfully!' : `Profile "${profiles[selectedProfile].name}" saved`, 'success');
+            renderProfiles();
+            checkRoots(settings.root);
         }
         
         saveButton.disabled = false;
@@ -65,6 +254,23 @@ function saveSettings() {
     });
 }
 
+// Warn when the native host would refuse the saved root directories
+function checkRoots(root) {
+    chrome.runtime.sendMessage({ type: 'CHECK_ROOT', root }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            return;
+        }
+        if (!response.success) {
+            showStatus(`Saved, but the native host could not check the root: ${response.error}`, 'error');
+            return;
+        }
+        const refused = response.roots.filter(entry => !entry.allowed).map(entry => entry.root);
+        if (refused.length > 0) {
+            showStatus(`Saved, but the native host does not allow ${refused.join(', ')} - add it to "allowedRoots" in ${response.allowlist}`, 'error');
+        }
+    });
+}
+
 // Toggle editor on current tab
 function toggleEditor() {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -105,6 +311,35 @@ function updateToggleButton() {
     }
 }
 
+function updateHighlightButton(active) {
+    highlightButton.textContent = active ? '🔍 Hide Highlights' : '🔍 Highlight Translatable Elements';
+}
+
+async function toggleHighlight() {
+    const response = await sendTabAction('overlay');
+    if (!response.success) {
+        showStatus(`Highlight failed: ${response.error}`, 'error');
+        return;
+    }
+    updateHighlightButton(response.overlay);
+}
+
+function updateAuditButton(active) {
+    auditButton.textContent = active ? '🧹 Hide Hardcoded Strings' : '🧹 Find Hardcoded Strings';
+}
+
+async function toggleAudit() {
+    const response = await sendTabAction('audit');
+    if (!response.success) {
+        showStatus(`Audit failed: ${response.error}`, 'error');
+        return;
+    }
+    updateAuditButton(response.audit);
+    if (response.audit) {
+        showStatus(`${response.count} untagged string(s) found`, response.count > 0 ? 'info' : 'success');
+    }
+}
+
 // Check if editor is currently enabled on the active tab
 function checkEditorStatus() {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -117,14 +352,530 @@ function checkEditorStatus() {
             if (response && response.enabled !== undefined) {
                 isEnabled = response.enabled;
                 updateToggleButton();
+                updateHighlightButton(!!response.overlay);
+                updateAuditButton(!!response.audit);
+            }
+        });
+    });
+}
+
+// ---------- Edit history ----------
+// Ask the active tab's content script (history lives in the page, per tab)
+function sendTabAction(action, extra = {}) {
+    return new Promise((resolve) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (tabs.length === 0) {
+                resolve({ success: false, error: 'No active tab found' });
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { action, ...extra }, (response) => {
+                if (chrome.runtime.lastError) {
+                    resolve({ success: false, error: 'Could not communicate with page' });
+                    return;
+                }
+                resolve(response || { success: false, error: 'No response' });
+            });
+        });
+    });
+}
+
+function renderHistory(history) {
+    historyListDiv.textContent = '';
+    
+    // Applied edits newest first, followed by undone ones that can be redone
+    const entries = [
+        ...history.undo.slice().reverse().map(entry => ({ entry, undone: false })),
+        ...history.redo.slice().reverse().map(entry => ({ entry, undone: true })),
+    ];
+    
+    if (entries.length === 0) {
+        historyListDiv.textContent = 'No edits in this tab yet';
+        return;
+    }
+    
+    entries.forEach(({ entry, undone }) => {
+        const item = document.createElement('div');
+        item.className = undone ? 'list-item undone' : 'list-item';
+        
+        const meta = document.createElement('span');
+        meta.className = 'meta';
+        meta.textContent = `${entry.ns}:${entry.key}${entry.lang ? ` (${entry.lang})` : ''}: ` +
+            `${JSON.stringify(entry.old)} → ${JSON.stringify(entry.new)}`;
+        meta.title = `${new Date(entry.time).toLocaleString()}${undone ? ' (undone)' : ''}`;
+        
+        item.appendChild(meta);
+        historyListDiv.appendChild(item);
+    });
+}
+
+async function loadHistory() {
+    const response = await sendTabAction('history');
+    if (response.history) {
+        renderHistory(response.history);
+    } else {
+        historyListDiv.textContent = response.error || 'History unavailable';
+    }
+}
+
+async function runHistoryAction(action) {
+    const response = await sendTabAction(action);
+    if (response.history) {
+        renderHistory(response.history);
+    }
+    if (!response.success) {
+        showStatus(`${action === 'undo' ? 'Undo' : 'Redo'} failed: ${response.error}`, 'error');
+    }
+}
+
+// ---------- Search ----------
+async function searchTranslations() {
+    const query = searchQueryInput.value.trim();
+    if (!query) {
+        showStatus('Enter a key or text to search for', 'error');
+        return;
+    }
+    
+    searchResultsDiv.textContent = 'Searching...';
+    const response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'SEARCH_LOCALES', query, url: activeTabUrl }, (result) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(result || { success: false, error: 'No response' });
+        });
+    });
+    searchResultsDiv.textContent = '';
+    
+    if (!response.success) {
+        showStatus(`Search failed: ${response.error}`, 'error');
+        return;
+    }
+    if (response.matches.length === 0) {
+        searchResultsDiv.textContent = `No matches for "${query}"`;
+        return;
+    }
+    
+    response.matches.forEach((match) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        
+        const meta = document.createElement('span');
+        meta.className = 'meta';
+        meta.textContent = `${match.key} = ${JSON.stringify(match.value)}`;
+        meta.title = `${match.file}: ${match.key}`;
+        
+        const showButton = document.createElement('button');
+        showButton.className = 'small-button';
+        showButton.textContent = 'Show';
+        showButton.addEventListener('click', () => revealMatch(match, false));
+        
+        const editButton = document.createElement('button');
+        editButton.className = 'small-button';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => revealMatch(match, true));
+        
+        item.appendChild(meta);
+        item.appendChild(showButton);
+        item.appendChild(editButton);
+        searchResultsDiv.appendChild(item);
+    });
+    
+    if (response.truncated) {
+        const more = document.createElement('div');
+        more.className = 'help-text';
+        more.textContent = `Showing the first ${response.matches.length} matches - refine the search for more`;
+        searchResultsDiv.appendChild(more);
+    }
+}
+
+// Scroll to the element showing a match on the current page (or open the editor for it)
+async function revealMatch(match, edit) {
+    const response = await sendTabAction('reveal', { key: match.key, ns: match.ns, value: match.value, edit });
+    if (!response.success) {
+        showStatus(`Could not reach the page: ${response.error}`, 'error');
+    } else if (!response.found) {
+        showStatus(edit ? 'Not on this page - opened the editor for the key' : `${match.key} is not shown on this page`, 'info');
+    }
+}
+
+// ---------- Backups & restore ----------
+// Send a backup request to the background worker (which talks to the native host)
+function sendBackupRequest(type, extra = {}) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({
+            type,
+            url: activeTabUrl,
+            ns: backupNsInput.value.trim() || undefined,
+            key: backupKeyInput.value.trim() || undefined,
+            ...extra
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(response || { success: false, error: 'No response' });
+        });
+    });
+}
+
+async function listBackups() {
+    if (!backupNsInput.value.trim() && !backupKeyInput.value.trim()) {
+        showStatus('Enter a namespace or a key', 'error');
+        return;
+    }
+    
+    backupListDiv.textContent = 'Loading...';
+    backupDiffDiv.style.display = 'none';
+    
+    const response = await sendBackupRequest('LIST_BACKUPS');
+    backupListDiv.textContent = '';
+    
+    if (!response.success) {
+        showStatus(`Could not list backups: ${response.error}`, 'error');
+        return;
+    }
+    if (response.backups.length === 0) {
+        backupListDiv.textContent = `No backups for namespace ${response.ns}`;
+        return;
+    }
+    
+    response.backups.forEach((backup) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        
+        const meta = document.createElement('span');
+        meta.className = 'meta';
+        meta.textContent = new Date(backup.timestamp).toLocaleString() +
+            (backup.value !== undefined ? ` - ${JSON.stringify(backup.value)}` : '');
+        meta.title = backup.name;
+        
+        const diffButton = document.createElement('button');
+        diffButton.className = 'small-button';
+        diffButton.textContent = 'Diff';
+        diffButton.addEventListener('click', () => showBackupDiff(backup.name));
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'small-button';
+        restoreButton.textContent = 'Restore';
+        restoreButton.addEventListener('click', () => restoreBackup(backup.name));
+        
+        item.appendChild(meta);
+        item.appendChild(diffButton);
+        item.appendChild(restoreButton);
+        backupListDiv.appendChild(item);
+    });
+}
+
+// Show what restoring a backup would change (current -> backup)
+async function showBackupDiff(backupName) {
+    const response = await sendBackupRequest('DIFF_BACKUP', { backupName });
+    if (!response.success) {
+        showStatus(`Could not diff backup: ${response.error}`, 'error');
+        return;
+    }
+    
+    backupDiffDiv.textContent = '';
+    backupDiffDiv.style.display = 'block';
+    
+    if (response.changes.length === 0) {
+        backupDiffDiv.textContent = 'Restoring would change nothing.';
+        return;
+    }
+    
+    response.changes.forEach((change) => {
+        const keyLine = document.createElement('div');
+        keyLine.textContent = change.key;
+        const removed = document.createElement('div');
+        removed.className = 'removed';
+        removed.textContent = `- ${change.current === null ? '(missing)' : JSON.stringify(change.current)}`;
+        const added = document.createElement('div');
+        added.className = 'added';
+        added.textContent = `+ ${change.backup === null ? '(missing)' : JSON.stringify(change.backup)}`;
+        backupDiffDiv.appendChild(keyLine);
+        backupDiffDiv.appendChild(removed);
+        backupDiffDiv.appendChild(added);
+    });
+}
+
+async function restoreBackup(backupName) {
+    const target = backupKeyInput.value.trim() || `namespace ${backupNsInput.value.trim()}`;
+    if (!confirm(`Restore ${target} from ${backupName}?\nThe current file is backed up first.`)) {
+        return;
+    }
+    
+    const response = await sendBackupRequest('RESTORE_BACKUP', { backupName });
+    if (response.success) {
+        showStatus(response.message || 'Restored', 'success');
+        listBackups();
+    } else {
+        showStatus(`Restore failed: ${response.error}`, 'error');
+    }
+}
+
+// ---------- Git ----------
+// The tab's applied edits (its undo stack) and created keys as { key, ns, lang }, one per key
+async function sessionEdits() {
+    const response = await sendTabAction('history');
+    if (!response.history) {
+        throw new Error(response.error || 'History unavailable');
+    }
+    const edits = new Map();
+    [...response.history.undo, ...(response.history.created || [])]
+        .forEach(({ key, ns, lang }) => edits.set(`${lang || ''}|${ns || ''}|${key}`, { key, ns, lang }));
+    return [...edits.values()];
+}
+
+// Send a git request for the session's edits to the background worker
+async function sendGitRequest(type, extra = {}) {
+    let edits;
+    try {
+        edits = await sessionEdits();
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+    if (edits.length === 0) {
+        return { success: false, error: 'No edits in this tab yet' };
+    }
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type, url: activeTabUrl, edits, ...extra }, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(response || { success: false, error: 'No response' });
+        });
+    });
+}
+
+async function showGitStatus() {
+    gitStatusListDiv.textContent = 'Loading...';
+    const response = await sendGitRequest('GIT_STATUS');
+    gitStatusListDiv.textContent = '';
+    
+    if (!response.success) {
+        showStatus(`Git status failed: ${response.error}`, 'error');
+        return;
+    }
+    
+    response.repos.forEach((repo) => {
+        const header = document.createElement('div');
+        header.className = 'help-text';
+        header.textContent = `${repo.dir} on ${repo.branch || '(detached HEAD)'}` +
+            (repo.state ? ` - ${repo.state} in progress` : '');
+        gitStatusListDiv.appendChild(header);
+        
+        repo.files.forEach((file) => {
+            const item = document.createElement('div');
+            item.className = 'list-item';
+            const meta = document.createElement('span');
+            meta.className = 'meta';
+            let state = 'committed';
+            if (file.conflicted) state = 'conflicts';
+            else if (!file.tracked) state = 'new file';
+            else if (file.changed) state = file.staged ? 'staged changes' : 'uncommitted changes';
+            meta.textContent = `${file.file} - ${state}`;
+            meta.title = file.path;
+            item.appendChild(meta);
+            gitStatusListDiv.appendChild(item);
+        });
+    });
+    
+    const notes = [
+        ...response.outside.map(file => `${file} is not in a git repository`),
+        ...response.missing.map(key => `${key} was not found (no longer in any namespace)`),
+    ];
+    notes.forEach((note) => {
+        const line = document.createElement('div');
+        line.className = 'help-text';
+        line.textContent = note;
+        gitStatusListDiv.appendChild(line);
+    });
+}
+
+async function showGitDiff() {
+    const response = await sendGitRequest('GIT_DIFF');
+    if (!response.success) {
+        showStatus(`Git diff failed: ${response.error}`, 'error');
+        return;
+    }
+    
+    gitDiffDiv.textContent = '';
+    gitDiffDiv.style.display = 'block';
+    if (!response.diff) {
+        gitDiffDiv.textContent = 'No uncommitted changes.';
+        return;
+    }
+    
+    response.diff.split('\n').forEach((text) => {
+        const line = document.createElement('div');
+        if (text.startsWith('+') && !text.startsWith('+++')) line.className = 'added';
+        if (text.startsWith('-') && !text.startsWith('---')) line.className = 'removed';
+        line.textContent = text;
+        gitDiffDiv.appendChild(line);
+    });
+}
+
+async function commitEdits() {
+    const branch = gitBranchCheckbox.checked;
+    if (!confirm(`Commit the files changed by this tab's edits${branch ? ' on an i18n/<date> branch' : ''}?`)) {
+        return;
+    }
+    
+    gitCommitButton.disabled = true;
+    const response = await sendGitRequest('GIT_COMMIT', { branch });
+    gitCommitButton.disabled = false;
+    
+    if (response.success) {
+        showStatus(response.message || 'Committed', 'success');
+        gitDiffDiv.style.display = 'none';
+        showGitStatus();
+    } else {
+        showStatus(`Commit failed: ${response.error}`, 'error');
+    }
+}
+
+// ---------- Translator exchange ----------
+// Send an export or import request to the background worker (which talks to the native host)
+function sendExchangeRequest(type, extra = {}) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type, url: activeTabUrl, ...extra }, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
             }
+            resolve(response || { success: false, error: 'No response' });
         });
     });
 }
 
+// Keys to export: the ones tagged on the page, or the ones edited or created in this tab
+async function exchangeKeys() {
+    if (exchangeScopeSelect.value === 'session') {
+        return (await sessionEdits()).map(({ key, ns }) => ({ key, ns }));
+    }
+    const response = await sendTabAction('pageKeys');
+    if (!response.success) {
+        throw new Error(response.error);
+    }
+    return response.keys;
+}
+
+function downloadFile(name, content, mimeType) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function exportTranslations() {
+    let keys;
+    try {
+        keys = await exchangeKeys();
+    } catch (error) {
+        showStatus(`Export failed: ${error.message}`, 'error');
+        return;
+    }
+    if (keys.length === 0) {
+        showStatus('No keys to export', 'error');
+        return;
+    }
+    
+    const exchangeFormat = exchangeFormatSelect.value;
+    const response = await sendExchangeRequest('EXPORT_TRANSLATIONS', { keys, exchangeFormat });
+    if (!response.success) {
+        showStatus(`Export failed: ${response.error}`, 'error');
+        return;
+    }
+    
+    downloadFile(response.fileName, response.content, exchangeFormat === 'csv' ? 'text/csv' : 'application/xliff+xml');
+    const notFound = response.missing.length > 0 ? ` (${response.missing.length} not found: ${response.missing.join(', ')})` : '';
+    showStatus(`Exported ${response.count} key(s)${notFound}`, 'success');
+}
+
+// Applied, skipped and conflicting entries of an import, one line each
+function renderImportReport(report) {
+    exchangeReportDiv.textContent = '';
+    const lines = [
+        ...report.applied.map(entry => ({ text: `${entry.ns}:${entry.key}`, meta: 'applied' })),
+        ...report.conflicts.map(entry => ({ text: `${entry.ns}:${entry.key}`, meta: `conflict - the file now has "${entry.current}"` })),
+        ...report.skipped.map(entry => ({ text: entry.ns ? `${entry.ns}:${entry.key}` : entry.key, meta: `skipped - ${entry.reason}` })),
+    ];
+    lines.forEach(({ text, meta }) => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        const label = document.createElement('span');
+        label.textContent = text;
+        const detail = document.createElement('span');
+        detail.className = 'meta';
+        detail.textContent = meta;
+        detail.title = meta;
+        item.appendChild(label);
+        item.appendChild(detail);
+        exchangeReportDiv.appendChild(item);
+    });
+}
+
+async function importTranslations() {
+    const file = importFileInput.files[0];
+    const content = file ? await file.text() : importContentInput.value;
+    if (!content.trim()) {
+        showStatus('Choose or paste a translated file first', 'error');
+        return;
+    }
+    
+    importTranslationsButton.disabled = true;
+    exchangeReportDiv.textContent = 'Importing...';
+    const response = await sendExchangeRequest('IMPORT_TRANSLATIONS', {
+        content,
+        // By extension; pasted contents are recognised by the host
+        exchangeFormat: file ? (/\.csv$/i.test(file.name) ? 'csv' : 'xliff') : undefined,
+    });
+    importTranslationsButton.disabled = false;
+    
+    if (!response.applied) {
+        exchangeReportDiv.textContent = '';
+        showStatus(`Import failed: ${response.error}`, 'error');
+        return;
+    }
+    renderImportReport(response);
+    showStatus(response.message, response.success ? 'success' : 'error');
+}
+
 // Event listeners
 saveButton.addEventListener('click', saveSettings);
+listBackupsButton.addEventListener('click', listBackups);
+searchButton.addEventListener('click', searchTranslations);
+searchQueryInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        searchTranslations();
+    }
+});
+gitStatusButton.addEventListener('click', showGitStatus);
+gitDiffButton.addEventListener('click', showGitDiff);
+gitCommitButton.addEventListener('click', commitEdits);
+gitBranchCheckbox.addEventListener('change', () => {
+    chrome.storage.sync.set({ gitBranch: gitBranchCheckbox.checked });
+});
+exportTranslationsButton.addEventListener('click', exportTranslations);
+importTranslationsButton.addEventListener('click', importTranslations);
+undoButton.addEventListener('click', () => runHistoryAction('undo'));
+redoButton.addEventListener('click', () => runHistoryAction('redo'));
+historySection.addEventListener('toggle', () => {
+    if (historySection.open) {
+        loadHistory();
+    }
+});
+profileSelect.addEventListener('change', () => {
+    selectedProfile = parseInt(profileSelect.value, 10);
+    renderProfiles();
+});
+newProfileButton.addEventListener('click', createProfile);
+deleteProfileButton.addEventListener('click', deleteProfile);
 toggleButton.addEventListener('click', toggleEditor);
+highlightButton.addEventListener('click', toggleHighlight);
+auditButton.addEventListener('click', toggleAudit);
 
 // Load settings and check status on popup open
 document.addEventListener('DOMContentLoaded', () => {
@@ -139,12 +890,36 @@ rootInput.addEventListener('keypress', (e) => {
     }
 });
 
+pathTemplateInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        saveSettings();
+    }
+});
+
 langInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
         saveSettings();
     }
 });
 
+namespacesInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        saveSettings();
+    }
+});
+
+fallbackLangInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        saveSettings();
+    }
+});
+
+allowedOriginsInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        saveSettings();
+    }
+});
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'editor_status') {